@@ -25,9 +25,11 @@ const defaultWidth = 300;
 
 
 /**
- * Local cache for holding fetched and parsed slide decks
+ * Local cache for holding fetched and parsed slide decks, indexed by slide
+ * deck URL. Entries are kept in least recently used order: the first entry is
+ * the one that was used least recently.
  */
-const cache = {};
+const cache = new Map();
 
 
 
@@ -42,117 +44,3134 @@ const pendingFetch = {};
 const pendingDimensions = {};
 
 /**
- * PDF libraries
- * 
- * TODO: Manage version number separately (and integrate CSS stylesheet)
+ * Cache keys of the File, Blob and ArrayBuffer objects set through the
+ * "srcObject" property. Keys are stable so that elements that share the same
+ * object also share the same cache entry.
+ */
+const srcObjectKeys = new WeakMap();
+let srcObjectCounter = 0;
+
+
+/**
+ * Return the cache key of the given File, Blob or ArrayBuffer object
+ */
+function getSrcObjectKey(obj) {
+  if (!srcObjectKeys.has(obj)) {
+    srcObjectCounter += 1;
+    srcObjectKeys.set(obj, `srcobject:${srcObjectCounter}`);
+  }
+  return srcObjectKeys.get(obj);
+}
+
+
+/**
+ * Return the cache key for the given slide deck URL (resolved against the
+ * base URL of the document) or File, Blob or ArrayBuffer object, as used in
+ * the public cache API. Returns null when the object is not known.
+ */
+function getPublicCacheKey(src) {
+  if ((src instanceof Blob) || (src instanceof ArrayBuffer)) {
+    return srcObjectKeys.get(src) ?? null;
+  }
+  return new URL(src, document.baseURI).href.split('#')[0];
+}
+
+
+/**
+ * Connected elements that use the slide decks in the cache, indexed by slide
+ * deck URL. Slide decks that connected elements use never get evicted from
+ * the cache.
+ */
+const cacheUsers = new Map();
+
+
+/**
+ * Record that the given element uses the slide deck with the given key
+ */
+function useCacheEntry(key, el) {
+  if (!cacheUsers.has(key)) {
+    cacheUsers.set(key, new Set());
+  }
+  cacheUsers.get(key).add(el);
+}
+
+
+/**
+ * Record that the given element no longer uses the slide deck with the given
+ * key, and evict unused slide decks from the cache if needed
+ */
+function releaseCacheEntry(key, el) {
+  const users = cacheUsers.get(key);
+  users?.delete(el);
+  if (users?.size === 0) {
+    cacheUsers.delete(key);
+  }
+  planCacheTrim();
+}
+
+
+/**
+ * Return the cache entry with the given key, and mark it as most recently
+ * used
+ */
+function touchCacheEntry(key) {
+  const entry = cache.get(key);
+  if (entry) {
+    cache.delete(key);
+    cache.set(key, entry);
+  }
+  return entry;
+}
+
+
+/**
+ * Remove the slide deck with the given key from the cache, and let the format
+ * adapter release the resources it allocated for it. Returns false if the
+ * slide deck was not in the cache.
+ */
+function deleteCacheEntry(key) {
+  const entry = cache.get(key);
+  if (!entry) {
+    return false;
+  }
+  cache.delete(key);
+  (async _ => entry.format?.destroy?.(entry))()
+    .catch(err => console.error(err.toString(), err));
+  return true;
+}
+
+
+/**
+ * Evict least recently used slide decks from the cache until the cache
+ * fits within the configured limits. Slide decks that connected elements use
+ * are never evicted.
+ */
+function trimCache() {
+  const { maxDecks, maxBytes } = config.cache;
+  let bytes = 0;
+  for (const entry of cache.values()) {
+    bytes += entry.size ?? 0;
+  }
+  for (const [key, entry] of cache) {
+    if ((cache.size <= maxDecks) && (bytes <= maxBytes)) {
+      break;
+    }
+    if (!cacheUsers.has(key)) {
+      bytes -= entry.size ?? 0;
+      deleteCacheEntry(key);
+    }
+  }
+}
+
+
+/**
+ * Trim the cache on next tick, unless that's already planned. Trimming is
+ * delayed so that elements that move around in the DOM, and thus get
+ * disconnected and re-connected right away, do not lose their slide deck.
+ */
+let cacheTrimPlanned = false;
+function planCacheTrim() {
+  if (!cacheTrimPlanned) {
+    cacheTrimPlanned = true;
+    setTimeout(_ => {
+      cacheTrimPlanned = false;
+      trimCache();
+    }, 0);
+  }
+}
+
+/**
+ * Names of the caches in Cache Storage that hold slide decks and their
+ * intrinsic dimensions when the persistent cache is enabled
+ */
+const persistentCacheNames = {
+  decks: 'i-slide-decks',
+  dimensions: 'i-slide-dimensions'
+};
+
+
+/**
+ * Return true if the given responses are the same version of a slide deck,
+ * based on their ETag or Last-Modified headers
+ */
+function isSameVersion(stored, resp) {
+  for (const header of ['ETag', 'Last-Modified']) {
+    const storedValue = stored.headers.get(header);
+    const value = resp.headers.get(header);
+    if (storedValue || value) {
+      return storedValue === value;
+    }
+  }
+  return false;
+}
+
+
+/**
+ * Return true if slide decks should be stored in the persistent cache, given
+ * the cache mode set on an element ("persistent", "memory" or not set)
+ */
+function isPersistent(mode) {
+  return (mode === 'persistent') ||
+    (config.cache.persistent && (mode !== 'memory'));
+}
+
+
+/**
+ * Fetch the slide deck at the given URL through the persistent cache. The
+ * request bypasses the HTTP cache of the browser without ignoring it, meaning
+ * that the browser revalidates the copy it may have with the server using the
+ * ETag or Last-Modified headers. The persistent cache gets updated when the
+ * slide deck changed, and serves the slide deck when the network is not
+ * available or when the server responds with an error.
+ */
+async function fetchPersistent(url) {
+  const decks = await caches.open(persistentCacheNames.decks);
+  const stored = await decks.match(url);
+  let resp;
+  try {
+    resp = await fetch(url, { cache: 'no-cache' });
+  }
+  catch (err) {
+    if (stored) {
+      log('fetch failed, serve slide deck from persistent cache', url);
+      return stored;
+    }
+    throw err;
+  }
+
+  // Server errors (e.g. a proxy that cannot reach the server) and captive
+  // portals also mean that the slide deck cannot be fetched
+  if (!resp.ok && stored) {
+    log(`fetch returned HTTP status ${resp.status},`,
+      'serve slide deck from persistent cache', url);
+    return stored;
+  }
+
+  if ((resp.status === 200) && !(stored && isSameVersion(stored, resp))) {
+    // Dimensions of previous version of the slide deck no longer apply
+    await decks.put(url, resp.clone());
+    const dimensions = await caches.open(persistentCacheNames.dimensions);
+    await dimensions.delete(url);
+  }
+  return resp;
+}
+
+
+/**
+ * Return the intrinsic dimensions of the slide deck at the given URL that the
+ * persistent cache holds, or null
+ */
+async function readPersistentDimensions(url) {
+  try {
+    const dimensions = await caches.open(persistentCacheNames.dimensions);
+    const resp = await dimensions.match(url);
+    return resp ? await resp.json() : null;
+  }
+  catch (err) {
+    log('could not read dimensions from persistent cache', url, err);
+    return null;
+  }
+}
+
+
+/**
+ * Flag the given cache entry as persisted, and set its intrinsic dimensions
+ * from the persistent cache if known, so that elements do not have to measure
+ * slides again
+ */
+async function restorePersistentDimensions(url, entry) {
+  if (!entry || (entry.type === 'error') || !globalThis.caches) {
+    return;
+  }
+  entry.persistent = true;
+  if (!entry.width) {
+    const dimensions = await readPersistentDimensions(url);
+    if (dimensions && !entry.width) {
+      entry.width = dimensions.width;
+      entry.height = dimensions.height;
+    }
+  }
+}
+
+
+/**
+ * Record the intrinsic dimensions of the slide deck at the given URL in the
+ * persistent cache
+ */
+async function storePersistentDimensions(url, { width, height }) {
+  try {
+    const dimensions = await caches.open(persistentCacheNames.dimensions);
+    await dimensions.put(url, new Response(JSON.stringify({ width, height }), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+  }
+  catch (err) {
+    log('could not store dimensions in persistent cache', url, err);
+  }
+}
+
+
+/**
+ * Default location of the PDF.js libraries and stylesheet
+ */
+const defaultPDFjsUrl = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@5.1.91/legacy/';
+
+
+/**
+ * Return the locations of the PDF.js libraries and stylesheet, relative to
+ * the given base URL of a PDF.js distribution
+ */
+function getPDFjsUrls(baseUrl) {
+  return {
+    lib: baseUrl + 'build/pdf.mjs',
+    viewer: baseUrl + 'web/pdf_viewer.mjs',
+    worker: baseUrl + 'build/pdf.worker.mjs',
+    css: baseUrl + 'web/pdf_viewer.css'
+  };
+}
+
+
+/**
+ * Component configuration, see ISlide.configure()
+ */
+const config = {
+  pdfjs: getPDFjsUrls(defaultPDFjsUrl),
+  cache: {
+    maxDecks: 20,
+    maxBytes: 100 * 1024 * 1024,
+    persistent: false
+  },
+  loading: {
+    rootMargin: '500px'
+  },
+  print: {
+    resolution: 150
+  }
+};
+
+
+/**
+ * Update the component configuration with the given options
+ */
+function configure(options) {
+  if (options?.pdfjs) {
+    if (PDFScriptsHandled) {
+      throw new Error('PDF.js must be configured before PDF slides get rendered');
+    }
+    const pdfjs = (typeof options.pdfjs === 'string') ?
+      { base: options.pdfjs } :
+      options.pdfjs;
+    const resolve = value => (typeof value === 'string') ?
+      new URL(value, document.baseURI).href :
+      value;
+    const base = pdfjs.base ? resolve(pdfjs.base).replace(/\/?$/, '/') : null;
+    const urls = base ? getPDFjsUrls(base) : {};
+
+    // The worker of a PDF.js library that is provided as a module object is
+    // assumed to be configured already, unless a worker is also provided
+    if (!base && pdfjs.lib && (typeof pdfjs.lib !== 'string')) {
+      urls.worker = null;
+    }
+    for (const prop of ['lib', 'viewer', 'worker', 'css']) {
+      if (prop in pdfjs) {
+        urls[prop] = resolve(pdfjs[prop]);
+      }
+    }
+    Object.assign(config.pdfjs, urls);
+  }
+
+  if (options?.cache) {
+    for (const prop of ['maxDecks', 'maxBytes']) {
+      if (prop in options.cache) {
+        config.cache[prop] = options.cache[prop] ?? Infinity;
+      }
+    }
+    if ('persistent' in options.cache) {
+      config.cache.persistent = !!options.cache.persistent;
+    }
+    planCacheTrim();
+  }
+
+  if (options?.loading?.rootMargin) {
+    config.loading.rootMargin = options.loading.rootMargin;
+  }
+
+  if (options?.print?.resolution) {
+    config.print.resolution = options.print.resolution;
+  }
+}
+
+
+/**
+ * Return the pixel ratio at which slides get rendered for printing: the print
+ * resolution, or the device pixel ratio if it is higher
+ */
+function getPrintPixelRatio() {
+  return Math.max(window.devicePixelRatio || 1, config.print.resolution / 96);
+}
+
+
+/**
+ * Call the given function once the browser is idle, or after a short delay
+ * in browsers that do not support idle callbacks
+ */
+function whenIdle(callback) {
+  if (window.requestIdleCallback) {
+    window.requestIdleCallback(callback, { timeout: 2000 });
+  }
+  else {
+    setTimeout(callback, 200);
+  }
+}
+
+
+/**
+ * PDF libraries (and name of the property that sets their location in the
+ * configuration)
  */
-const PDFScriptsUrl = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@5.1.91/legacy/';
 const PDFScripts = {
   'pdfjsLib': {
-    url: PDFScriptsUrl + 'build/pdf.mjs',
+    config: 'lib',
     obj: 'pdfjs-dist/build/pdf'
   },
   'pdfjsViewer': {
-    url: PDFScriptsUrl + 'web/pdf_viewer.mjs',
+    config: 'viewer',
     obj: 'pdfjs-dist/web/pdf_viewer'
   }
-};
+};
+
+
+/**
+ * Whether PDF scripts are being or have been handled, and promise that they
+ * are available.
+ */
+let PDFScriptsHandled = false;
+let resolvePDFScriptsPromise;
+let rejectPDFScriptsPromise;
+const PDFScriptsLoaded = new Promise((resolve, reject) => {
+  resolvePDFScriptsPromise = resolve;
+  rejectPDFScriptsPromise = reject;
+});
+
+// Errors are reported when PDF slide decks get parsed
+PDFScriptsLoaded.catch(_ => {});
+
+
+/**
+ * Load PDF.js libraries, from the configured URLs or module objects
+ */
+async function loadPDFScripts() {
+  if (PDFScriptsHandled) {
+    return;
+  }
+  PDFScriptsHandled = true;
+
+  try {
+    for (const { config: prop, obj } of Object.values(PDFScripts)) {
+      if (!window[obj]) {
+        const lib = config.pdfjs[prop];
+        window[obj] = (typeof lib === 'string') ? await import(lib) : lib;
+      }
+      if (prop === 'lib') {
+        // The PDF.js viewer expects to find the library in a global variable
+        globalThis.pdfjsLib ??= window[obj];
+      }
+    }
+
+    const { GlobalWorkerOptions } = window[PDFScripts.pdfjsLib.obj];
+    const worker = config.pdfjs.worker;
+    if (worker instanceof Worker) {
+      GlobalWorkerOptions.workerPort = worker;
+    }
+    else if (worker) {
+      GlobalWorkerOptions.workerSrc = worker;
+    }
+
+    resolvePDFScriptsPromise();
+  }
+  catch (err) {
+    rejectPDFScriptsPromise(new Error(`Could not load PDF.js: ${err.message}`));
+  }
+}
+
+
+/**
+ * Return the first bytes of a slide deck as a string, to sniff its format
+ */
+function sniff(bytes, length = 1024) {
+  const head = new Uint8Array(bytes, 0, Math.min(bytes.byteLength, length));
+  return new TextDecoder('latin1').decode(head);
+}
+
+
+/**
+ * Decode the given data: URL and return its MIME type and its contents as an
+ * ArrayBuffer, or null if the URL is not a data: URL. Both base64-encoded and
+ * percent-encoded data: URLs are supported.
+ */
+function decodeDataURL(url) {
+  const m = url.match(/^\s*data:([^,]*?)(;base64)?,(.*)$/is);
+  if (!m) {
+    return null;
+  }
+  const mimeType = m[1].split(';')[0].trim().toLowerCase() || 'text/plain';
+  let bytes;
+  if (m[2]) {
+    // Inspired from https://stackoverflow.com/posts/12094943/revisions
+    // Note: decoding percent-encoded characters should not be needed for
+    // newlines but Chromium fails to strip newline characters in `data:`
+    // URLs, see: https://issues.chromium.org/issues/40764064
+    const raw = window.atob(decodeURIComponent(m[3]).replace(/\s/g, ''));
+    bytes = new Uint8Array(new ArrayBuffer(raw.length));
+    for (let i = 0; i < raw.length; i++) {
+      bytes[i] = raw.charCodeAt(i);
+    }
+  }
+  else {
+    // Percent-encoded bytes may not be valid UTF-8 sequences, decode them one
+    // by one
+    const encoded = new TextEncoder().encode(m[3]);
+    const decoded = [];
+    const hex = /^[0-9a-f]{2}$/i;
+    for (let i = 0; i < encoded.length; i++) {
+      const digits = String.fromCharCode(encoded[i + 1], encoded[i + 2]);
+      if ((encoded[i] === 0x25) && hex.test(digits)) {
+        decoded.push(parseInt(digits, 16));
+        i += 2;
+      }
+      else {
+        decoded.push(encoded[i]);
+      }
+    }
+    bytes = new Uint8Array(decoded);
+  }
+  return { mimeType, bytes: bytes.buffer };
+}
+
+
+/**
+ * Return the MIME type of the slide deck that the given element embeds or
+ * links to, for elements that the "srcref" attribute may target: <template>
+ * elements (HTML slide decks), <script> elements with a non-JavaScript type,
+ * and links (to data: URLs or to regular URLs). Returns null when the element
+ * cannot be used, and an empty string when the type is not known.
+ */
+function getEmbeddedDeckType(el) {
+  if (el instanceof HTMLTemplateElement) {
+    return 'text/html';
+  }
+  if (el instanceof HTMLScriptElement) {
+    return (el.type && !/^(module|(text|application)\/(java|ecma)script)$/i.test(el.type)) ?
+      el.type.split(';')[0].trim().toLowerCase() :
+      null;
+  }
+  if (typeof el?.href === 'string' && el.href) {
+    const m = el.href.match(/^\s*data:([^,;]*)/i);
+    return m ? (m[1].trim().toLowerCase() || 'text/plain') : '';
+  }
+  return null;
+}
+
+
+/**
+ * Create the source object that format adapters receive to detect and parse
+ * a slide deck:
+ * - "url": the URL of the slide deck, used to resolve relative links
+ * - "type": the content-type explicitly set on the element, if any
+ * - "mimeType": the effective MIME type of the slide deck, if known
+ * - "bytes": the raw contents of the slide deck, as an ArrayBuffer, or null
+ * when the slide deck was not downloaded upfront (see "streaming" formats)
+ * - "text": the contents of the slide deck decoded as UTF-8 text
+ * - "size": the size of the slide deck in bytes, if known
+ * - "format": the format adapter that was picked for the slide deck when it
+ * was not downloaded upfront, if any
+ */
+function createDeckSource({ url, type, mimeType, bytes, size, format }) {
+  let text;
+  return {
+    url,
+    type,
+    mimeType,
+    bytes,
+    size: bytes ? bytes.byteLength : (size || 0),
+    format,
+    get text() {
+      if (text === undefined) {
+        text = bytes ? new TextDecoder().decode(bytes) : '';
+      }
+      return text;
+    }
+  };
+}
+
+
+/**
+ * Helper function for format adapters that returns true when the explicit
+ * type, the effective MIME type or the extension of the URL of the source
+ * matches the given MIME types and extension pattern. Returns false when the
+ * source has an explicit type that does not match, and undefined when nothing
+ * can be said, meaning that adapters may want to sniff the content.
+ */
+function detectByType({ url, type, mimeType }, mimeTypes, extension) {
+  if (type) {
+    return mimeTypes.includes(type);
+  }
+  if (mimeTypes.includes(mimeType)) {
+    return true;
+  }
+  if (extension && extension.test((url || '').split(/[?#]/)[0])) {
+    return true;
+  }
+}
+
+
+/**
+ * Registered slide format adapters, in order of precedence (formats that get
+ * registered last are tried first). See ISlide.registerFormat() for the
+ * structure of an adapter.
+ */
+const formats = [];
+
+/**
+ * Methods that a format adapter must implement
+ */
+const formatMethods = ['detect', 'parse', 'countSlides', 'findSlide', 'render', 'scale'];
+
+
+/**
+ * Register the given slide format adapter
+ */
+function registerFormat(format) {
+  if (!format?.name) {
+    throw new TypeError('Slide format adapter must have a name');
+  }
+  for (const method of formatMethods) {
+    if (typeof format[method] !== 'function') {
+      throw new TypeError(`Slide format adapter "${format.name}" must implement "${method}"`);
+    }
+  }
+  const existing = formats.findIndex(f => f.name === format.name);
+  if (existing >= 0) {
+    formats.splice(existing, 1);
+  }
+  formats.unshift(format);
+}
+
+
+/**
+ * Return the format adapter that can handle the given deck source, if any
+ */
+function findFormat(source) {
+  return formats.find(format => format.detect(source));
+}
+
+
+/**
+ * Return the format adapter that handles the given MIME type, if any
+ */
+function findFormatByType(type) {
+  return formats.find(format => format.mimeTypes?.includes(type));
+}
+
+
+/**
+ * Return the numbers of the slides that the fragment targets in the given
+ * cache entry, or null if one of them cannot be found. Besides fragments that
+ * the format understands, ranges and lists of slide numbers are supported,
+ * e.g. "3-7", "2,4,9" or "page=2,4,9".
+ */
+function findSlides(entry, fragment) {
+  const list = fragment.replace(/^page=/, '');
+  if (!/^\d+(-\d+)?(,\d+(-\d+)?)*$/.test(list) || !/[-,]/.test(list)) {
+    const slideNumber = entry.format.findSlide(entry, fragment);
+    return slideNumber ? [slideNumber] : null;
+  }
+
+  const slideNumbers = [];
+  for (const range of list.split(',')) {
+    const [start, end = start] = range.split('-').map(n => parseInt(n, 10));
+    const step = (start <= end) ? 1 : -1;
+    for (let n = start; n !== end + step; n += step) {
+      const slideNumber = entry.format.findSlide(entry, '' + n);
+      if (!slideNumber) {
+        return null;
+      }
+      slideNumbers.push(slideNumber);
+    }
+  }
+  return slideNumbers;
+}
+
+
+/**
+ * Split the given fragment into the fragment that targets the slide and the
+ * build step that follows it, e.g. "3.2" or "intro.2" for the second step of
+ * the third slide or of the slide with ID "intro". The fragment is not split
+ * when an element in the slide deck has that ID. Step is null when the
+ * fragment does not end with a step.
+ */
+function splitStepFragment(entry, fragment) {
+  const match = fragment.match(/^(.+)\.(\d+)$/);
+  if (!match || entry.doc?.getElementById?.(fragment) ||
+      (findSlides(entry, match[1])?.length !== 1)) {
+    return { fragment, step: null };
+  }
+  return { fragment: match[1], step: parseInt(match[2], 10) };
+}
+
+
+/**
+ * Return a promise for information about the slide deck in the given cache
+ * entry: its "title", its "slideCount", and a list of "slides" with their
+ * "number" (starting at 1), "id" (fragment that targets the slide, if any),
+ * "title" and number of build "steps". Titles are null when unknown.
+ * Information gets computed once per slide deck, through the "getInfo"
+ * function of the format adapter.
+ */
+function getDeckInfo(entry) {
+  if (!entry.info) {
+    entry.info = (async _ => {
+      let info = {};
+      try {
+        info = (await entry.format.getInfo?.(entry)) ?? {};
+      }
+      catch {}
+      const slideCount = entry.format.countSlides(entry);
+      const slides = [];
+      for (let number = 1; number <= slideCount; number++) {
+        const slide = info.slides?.[number - 1];
+        slides.push(Object.freeze({
+          number,
+          id: slide?.id || null,
+          title: slide?.title || null,
+          steps: slide?.steps || 0
+        }));
+      }
+      return Object.freeze({
+        title: info.title || null,
+        slideCount,
+        slides: Object.freeze(slides)
+      });
+    })();
+  }
+  return entry.info;
+}
+
+
+/**
+ * Return a promise for a fragment with the speaker notes of the given slide,
+ * through the "getNotes" function of the format adapter, or null if the slide
+ * has no notes.
+ */
+async function getSlideNotes(entry, slideNumber) {
+  try {
+    return (await entry.format.getNotes?.(entry, slideNumber)) ?? null;
+  }
+  catch {
+    return null;
+  }
+}
+
+
+/**
+ * Return the text of the given fragment of speaker notes, one line per block
+ * of text, or null if there are no notes
+ */
+function getNotesText(fragment) {
+  const lines = [...fragment?.childNodes ?? []]
+    .map(node => node.textContent.replace(/\s+/g, ' ').trim())
+    .filter(line => line);
+  return lines.length ? lines.join('\n') : null;
+}
+
+
+/**
+ * Supported values of the "object-fit" CSS property and of the "fit"
+ * attribute
+ */
+const objectFitValues = ['contain', 'cover', 'fill', 'none', 'scale-down'];
+
+
+/**
+ * Return the scales to apply to content of the given intrinsic dimensions so
+ * that it fits the given box according to the given "object-fit" value. The
+ * result has a uniform "scale" that format adapters should apply, and "x" and
+ * "y" scales that the content should have in the end (they only differ from
+ * the uniform scale for "fill").
+ */
+function getObjectFitScales(fit, box, width, height) {
+  const scaleX = box.width / width;
+  const scaleY = box.height / height;
+  switch (fit) {
+    case 'fill':
+      return { scale: Math.max(scaleX, scaleY), x: scaleX, y: scaleY };
+    case 'cover':
+      return uniformScales(Math.max(scaleX, scaleY));
+    case 'none':
+      return uniformScales(1);
+    case 'scale-down':
+      return uniformScales(Math.min(1, scaleX, scaleY));
+    default:
+      return uniformScales(Math.min(scaleX, scaleY));
+  }
+}
+
+/**
+ * Return uniform scales for getObjectFitScales()
+ */
+function uniformScales(scale) {
+  return { scale, x: scale, y: scale };
+}
+
+
+/**
+ * Parse an "object-position" value (as computed, or as set in the "position"
+ * attribute) and return, for each axis, the ratio of the free space and the
+ * offset in pixels that position the content in its box. Keywords, lengths in
+ * pixels and percentages are supported, including edge offsets such as
+ * "right 10px bottom 20px". Unsupported values center the content.
+ */
+function parseObjectPosition(value) {
+  const tokens = (value ?? '').trim().toLowerCase().split(/\s+/).filter(t => t);
+  const parseLength = token => {
+    const m = (token ?? '').match(/^(-?(?:\d+|\d*\.\d+))(%|px)?$/);
+    if (!m) {
+      return null;
+    }
+    return (m[2] === '%') ?
+      { ratio: parseFloat(m[1]) / 100, offset: 0 } :
+      { ratio: 0, offset: parseFloat(m[1]) };
+  };
+  const edges = {
+    left: ['x', 0], right: ['x', 1], top: ['y', 0], bottom: ['y', 1]
+  };
+
+  const position = {};
+  const unassigned = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (edges[token]) {
+      const [axis, ratio] = edges[token];
+      const length = parseLength(tokens[i + 1]);
+      if (length) {
+        // Edge offset, e.g. "right 10px"
+        i++;
+        position[axis] = ratio ?
+          { ratio: 1 - length.ratio, offset: -length.offset } :
+          length;
+      }
+      else {
+        position[axis] = { ratio, offset: 0 };
+      }
+    }
+    else if (token === 'center') {
+      unassigned.push({ ratio: 0.5, offset: 0 });
+    }
+    else {
+      unassigned.push(parseLength(token) ?? { ratio: 0.5, offset: 0 });
+    }
+  }
+  for (const axis of ['x', 'y']) {
+    position[axis] = position[axis] ?? unassigned.shift() ??
+      { ratio: 0.5, offset: 0 };
+  }
+  return position;
+}
+
+
+/**
+ * Create an error that tells why a slide could not be rendered. The reason is
+ * one of "network", "cors", "http-status", "unsupported-format",
+ * "<format>-parse" (e.g. "pdf-parse"), "slide-not-found" or "render". Details
+ * are copied over to the error (e.g. the HTTP "status").
+ */
+function createSlideError(reason, message, details) {
+  return Object.assign(new Error(message), details, { reason });
+}
+
+
+/**
+ * Return true if the given URL is a cross-origin URL that can be fetched in
+ * "no-cors" mode, meaning that a failed fetch was due to missing CORS headers
+ * and not to a network error.
+ */
+async function isBlockedByCORS(url) {
+  try {
+    if (!/^https?:/i.test(url) || (new URL(url).origin === location.origin)) {
+      return false;
+    }
+    await fetch(url, { mode: 'no-cors' });
+    return true;
+  }
+  catch {
+    return false;
+  }
+}
+
+
+/**
+ * Fetch the slide deck at the given URL and return a deck source. The type
+ * is the content-type explicitly set on the element, if any. The persistent
+ * cache is used if requested and if Cache Storage is available (it is only
+ * available in secure contexts).
+ */
+async function fetchSource(url, type, persistent) {
+  let resp;
+  try {
+    resp = (persistent && globalThis.caches) ?
+      await fetchPersistent(url) :
+      await fetch(url);
+  }
+  catch (err) {
+    // Browsers do not tell CORS errors apart from network errors
+    const reason = (await isBlockedByCORS(url)) ? 'cors' : 'network';
+    throw createSlideError(reason, err.message, { cause: err });
+  }
+  if (resp.status !== 200) {
+    throw createSlideError('http-status',
+      `HTTP status code received is ${resp.status}`,
+      { status: resp.status });
+  }
+  const contentType = resp.headers.get('Content-Type') ?? '';
+  // TODO: is something more robust à la https://github.com/jsdom/whatwg-mimetype needed here?
+  const mimeType = contentType.split(';')[0].trim();
+
+  // Start loading the libraries that the format may need while the rest of
+  // the slide deck gets downloaded
+  const format = findFormatByType(type || mimeType);
+  format?.load?.();
+
+  // Formats that stream slide decks (e.g. PDF.js with range requests) load
+  // them from their URL, no need to download them upfront. The persistent
+  // cache needs the whole slide deck though.
+  if (format?.streaming && !persistent && /^https?:/.test(url)) {
+    resp.body?.cancel().catch(_ => {});
+    return createDeckSource({
+      url, type, mimeType, bytes: null,
+      size: parseInt(resp.headers.get('Content-Length'), 10),
+      format
+    });
+  }
+
+  const bytes = await resp.arrayBuffer();
+  return createDeckSource({ url, type, mimeType, bytes });
+}
+
+
+/**
+ * Read the given File, Blob or ArrayBuffer object and return a deck source.
+ * The type of a Blob is used as MIME type, and the name of a File as URL
+ * (resolved against the given base URL), so that formats may also detect the
+ * slide deck from its extension. Formats sniff the contents otherwise.
+ */
+async function readSrcObject(obj, type, baseUrl) {
+  if (obj instanceof Blob) {
+    return createDeckSource({
+      url: obj.name ?
+        new URL(encodeURIComponent(obj.name), baseUrl).href :
+        baseUrl,
+      type,
+      mimeType: obj.type.split(';')[0].trim().toLowerCase(),
+      bytes: await obj.arrayBuffer()
+    });
+  }
+  else {
+    // Work on a copy, formats may transfer the bytes to a worker
+    return createDeckSource({
+      url: baseUrl,
+      type,
+      mimeType: '',
+      bytes: obj.slice(0)
+    });
+  }
+}
+
+
+/**
+ * Retrieve the slide deck that the getSource function returns a deck source
+ * for, parse it and store it in the cache under the given key, unless the
+ * cache already contains it. Returns the cache entry.
+ */
+async function fetchDeck(key, getSource) {
+  // Retrieve slide deck from cache when possible
+  if (pendingFetch[key]) {
+    await pendingFetch[key];
+  }
+  if (cache.has(key)) {
+    return touchCacheEntry(key);
+  }
+
+  // Mark the slide deck as pending to avoid re-entrancy issues when function
+  // gets called from another instance, and fetch the slide deck
+  let pendingResolve;
+  pendingFetch[key] = new Promise(resolve => {
+    pendingResolve = resolve;
+  });
+
+  try {
+    const source = await getSource();
+    const format = source.format ?? findFormat(source);
+    if (!format) {
+      cache.set(key, {
+        type: 'error',
+        reason: 'unsupported-format',
+        message: `Could not find a format that can render slide deck ${key}`
+      });
+    }
+    else {
+      try {
+        const entry = await format.parse(source);
+        cache.set(key, Object.assign(
+          { type: format.name, format, size: source.size },
+          entry));
+      }
+      catch (err) {
+        cache.set(key, {
+          type: 'error',
+          reason: `${format.name}-parse`,
+          message: `Could not parse slide deck ${key}: ${err.message}`,
+          err
+        });
+      }
+    }
+  }
+  catch (err) {
+    cache.set(key, {
+      type: 'error',
+      reason: err.reason ?? 'network',
+      message: `Could not fetch slide deck ${key}: ${err.message}`,
+      err
+    });
+  }
+  finally {
+    pendingResolve();
+    delete pendingFetch[key];
+  }
+
+  planCacheTrim();
+  return cache.get(key);
+}
+
+
+/**
+ * Parse the HTML slide deck in the given deck source and resolve relative
+ * links in the resulting document. Used by HTML format adapters.
+ */
+function parseHTMLDeck({ url, text }) {
+  const parser = new DOMParser();
+  const doc = parser.parseFromString(text, 'text/html');
+
+  // Relative URLs are relative to the base URL of the slide deck, which may
+  // be set with a <base> element
+  let baseUrl = url;
+  try {
+    baseUrl = new URL(doc.querySelector('base[href]')?.getAttribute('href') ?? '', url).href;
+  }
+  catch {}
+
+  // Resolve all relative URLs in the document. Note that fragment-only URLs
+  // in SVG content (e.g. <use href="#icon">) target elements in the slide
+  // and must not be rebased.
+  for (const el of doc.querySelectorAll('*')) {
+    if (el.localName === 'base') {
+      continue;
+    }
+    const isSVG = el.namespaceURI === 'http://www.w3.org/2000/svg';
+    for (const attr of [...el.attributes]) {
+      const name = attr.name.toLowerCase();
+      let value = attr.value;
+      if (urlAttributes.includes(name) ||
+          ((name === 'data') && (el.localName === 'object'))) {
+        if (!(isSVG && value.trim().startsWith('#'))) {
+          value = rebaseUrl(value, baseUrl);
+        }
+      }
+      else if (srcsetAttributes.includes(name)) {
+        value = rebaseSrcset(value, baseUrl);
+      }
+      else if (name === 'style') {
+        value = rebaseCSSUrls(value, baseUrl);
+      }
+      if (value !== attr.value) {
+        attr.value = value;
+      }
+    }
+  }
+
+  // Resolve relative URLs in style sheets
+  for (const styleEl of doc.querySelectorAll('style')) {
+    styleEl.textContent = rebaseCSSUrls(styleEl.textContent, baseUrl);
+  }
+
+  return doc;
+}
+
+
+/**
+ * Attributes that contain a URL ("data" attributes of <object> elements are
+ * also rebased), and attributes that contain a list of image candidates
+ */
+const urlAttributes = ['src', 'href', 'xlink:href', 'poster', 'longdesc', 'background'];
+const srcsetAttributes = ['srcset', 'imagesrcset'];
+
+
+/**
+ * Resolve the given URL against the given base URL. Fragment-only URLs are
+ * resolved as well, meaning that they target the slide deck. Invalid URLs are
+ * returned as-is.
+ */
+function rebaseUrl(url, baseUrl) {
+  if (!url.trim()) {
+    return url;
+  }
+  try {
+    return new URL(url.trim(), baseUrl).href;
+  }
+  catch {
+    return url;
+  }
+}
+
+
+/**
+ * Resolve the URLs of the image candidates in the given "srcset" value
+ * against the given base URL. URLs may contain commas (e.g. data: URLs),
+ * candidates are split according to the parsing rules of the "srcset"
+ * attribute.
+ */
+function rebaseSrcset(srcset, baseUrl) {
+  const candidates = [];
+  let rest = srcset;
+  let m;
+  while ((m = rest.match(/^[\s,]*(\S+?)(,*)(?=\s|$)/))) {
+    rest = rest.slice(m[0].length);
+    let descriptors = '';
+    if (!m[2]) {
+      descriptors = rest.match(/^[^,]*/)[0];
+      rest = rest.slice(descriptors.length);
+    }
+    candidates.push(`${rebaseUrl(m[1], baseUrl)} ${descriptors.trim()}`.trim());
+  }
+  return candidates.join(', ');
+}
+
+
+/**
+ * Rebase relative URLs in the given CSS text (url() references and @import
+ * rules) against the given base URL
+ */
+function rebaseCSSUrls(css, baseUrl) {
+  const rebase = url => {
+    if (url.startsWith('#')) {
+      return url;
+    }
+    try {
+      return new URL(url, baseUrl).href;
+    }
+    catch {
+      return url;
+    }
+  };
+  return css
+    .replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g,
+      (match, quote, url) => `url(${quote}${rebase(url)}${quote})`)
+    .replace(/@import\s+(['"])([^'"]+)\1/g,
+      (match, quote, url) => `@import ${quote}${rebase(url)}${quote}`);
+}
+
+
+/**
+ * CSS text of the style sheets that slide deck documents link to or import,
+ * indexed by URL, so that each style sheet gets fetched once per slide deck
+ */
+const styleSheetTexts = new WeakMap();
+
+
+/**
+ * Fetch the style sheet at the given URL, and return its CSS text with URLs
+ * rebased, or null if the style sheet cannot be fetched. The CSS text is
+ * fetched once per slide deck when the document of the slide deck is given.
+ */
+function fetchStyleSheet(url, doc) {
+  let texts = doc && styleSheetTexts.get(doc);
+  if (doc && !texts) {
+    texts = new Map();
+    styleSheetTexts.set(doc, texts);
+  }
+  if (texts?.has(url)) {
+    return texts.get(url);
+  }
+  const text = fetch(url)
+    .then(resp => (resp.status === 200) ? resp.text() : null)
+    .then(css => (css === null) ? null : rebaseCSSUrls(css, url))
+    .catch(_ => null);
+  texts?.set(url, text);
+  return text;
+}
+
+
+/**
+ * Replace the stylesheets that the given document links to with inline
+ * <style> elements, rebasing relative URLs and applying the given transform
+ * function to the CSS text. Stylesheets that cannot be fetched are kept as-is.
+ */
+async function inlineStylesheets(doc, transform = css => css) {
+  const links = [...doc.querySelectorAll('link[rel~=stylesheet][href]')];
+  await Promise.all(links.map(async link => {
+    const css = await fetchStyleSheet(link.getAttribute('href'), doc);
+    if (css === null) {
+      return;
+    }
+    const styleEl = doc.createElement('style');
+    if (link.media) {
+      styleEl.media = link.media;
+    }
+    styleEl.textContent = transform(css);
+    link.replaceWith(styleEl);
+  }));
+}
+
+
+/**
+ * Descriptors of @font-face rules and the matching FontFace options
+ */
+const fontFaceDescriptors = {
+  'font-style': 'style',
+  'font-weight': 'weight',
+  'font-stretch': 'stretch',
+  'unicode-range': 'unicodeRange',
+  'font-display': 'display',
+  'font-feature-settings': 'featureSettings',
+  'ascent-override': 'ascentOverride',
+  'descent-override': 'descentOverride',
+  'line-gap-override': 'lineGapOverride'
+};
+
+
+/**
+ * Fetch the style sheet at the given URL and return its CSS text, followed by
+ * the CSS text of the style sheets it imports, with URLs rebased. Returns an
+ * empty string if the style sheet cannot be fetched. Style sheets are fetched
+ * once per slide deck when the document of the slide deck is given.
+ */
+async function fetchStyleSheetText(url, doc, depth = 0) {
+  const css = await fetchStyleSheet(url, doc);
+  if (css === null) {
+    return '';
+  }
+  return [css, ...await getImportedStyleSheetTexts(css, doc, depth + 1)]
+    .join('\n');
+}
+
+
+/**
+ * Return the CSS text of the style sheets that the given (rebased) CSS text
+ * imports. Imports are followed up to a few levels deep.
+ */
+async function getImportedStyleSheetTexts(css, doc, depth = 0) {
+  if (depth > 3) {
+    return [];
+  }
+  const urls = [...css.matchAll(/@import\s+(?:url\(\s*)?(['"]?)([^'")\s]+)\1/g)]
+    .map(match => match[2]);
+  return Promise.all(urls.map(url => fetchStyleSheetText(url, doc, depth)));
+}
+
+
+/**
+ * Collect the @font-face rules that the styles of the given slide deck
+ * document define, in <style> elements and in linked style sheets, and return
+ * matching FontFace objects. Style sheets that cannot be fetched are skipped.
+ * Style sheets that were inlined or fetched already for the slide deck are
+ * not fetched again.
+ */
+async function collectFontFaces(doc) {
+  const texts = await Promise.all(
+    [...doc.querySelectorAll('style, link[rel~=stylesheet][href]')].map(async el => {
+      if (el.localName === 'link') {
+        return fetchStyleSheetText(el.getAttribute('href'), doc);
+      }
+      const css = el.textContent;
+      return [css, ...await getImportedStyleSheetTexts(css, doc)].join('\n');
+    }));
+
+  const fontFaces = [];
+  const collect = rules => {
+    for (const rule of rules) {
+      if (rule instanceof CSSFontFaceRule) {
+        const family = rule.style.getPropertyValue('font-family');
+        const src = rule.style.getPropertyValue('src');
+        if (!family || !src) {
+          continue;
+        }
+        const descriptors = {};
+        for (const [property, name] of Object.entries(fontFaceDescriptors)) {
+          const value = rule.style.getPropertyValue(property);
+          if (value) {
+            descriptors[name] = value;
+          }
+        }
+        try {
+          fontFaces.push(new FontFace(family, src, descriptors));
+        }
+        catch {}
+      }
+      else if (rule.cssRules) {
+        collect(rule.cssRules);
+      }
+    }
+  };
+  for (const text of texts) {
+    // Constructed style sheets do not support @import rules, drop them to
+    // avoid console warnings (imported style sheets were fetched already)
+    const sheet = new CSSStyleSheet();
+    try {
+      sheet.replaceSync(text.replace(/@import\s[^;]*;/g, ''));
+    }
+    catch {
+      continue;
+    }
+    collect(sheet.cssRules);
+  }
+  return fontFaces;
+}
+
+
+/**
+ * Register the web fonts of the given HTML slide deck at the document level,
+ * once per deck. Fonts that style sheets define in a shadow tree are ignored
+ * by browsers, fonts need to be known to the document for slides to use them.
+ * Returns a promise that resolves once fonts have been registered. Fonts
+ * that cannot be registered are ignored.
+ */
+function registerDeckFonts(entry) {
+  if (!entry.fonts) {
+    entry.fonts = collectFontFaces(entry.doc).then(fontFaces => {
+      for (const fontFace of fontFaces) {
+        document.fonts.add(fontFace);
+      }
+      return fontFaces;
+    }).catch(_ => []);
+  }
+  return entry.fonts;
+}
+
+
+/**
+ * Release the resources of an HTML slide deck, i.e. unregister its web fonts.
+ * Used by HTML format adapters.
+ */
+async function destroyHTMLDeck(entry) {
+  if (entry.fonts) {
+    const fontFaces = await entry.fonts;
+    for (const fontFace of fontFaces) {
+      document.fonts.delete(fontFace);
+    }
+  }
+}
+
+
+/**
+ * Render an HTML slide in the shadow tree. The given body element must
+ * already contain the slide element. The head of the slide deck gets cloned
+ * along with its styles, and the slide gets measured if its intrinsic
+ * dimensions are not known yet. Used by HTML format adapters.
+ */
+async function renderHTMLSlide(entry, bodyEl, slideEl, { root, hostStyleEl, height, measure }) {
+  const headEl = entry.doc.querySelector('head').cloneNode(true);
+  bodyEl.style.top = 'inherit';
+  bodyEl.style.left = 'inherit';
+  bodyEl.style.margin = 'inherit';
+  bodyEl.style.transformOrigin = '0 0';
+
+  // Web fonts need to be registered at the document level
+  const fontsRegistered = registerDeckFonts(entry);
+
+  const styleLoadedPromises = [];
+  [...headEl.querySelectorAll("link[rel~=stylesheet]")].map(l => {
+    let resolve;
+    const p = new Promise((res) => resolve = res);
+    l.addEventListener("load", resolve);
+    l.addEventListener("error", resolve);
+    styleLoadedPromises.push(p);
+  });
+
+  // Attach HTML document to shadow root, making sure that the content
+  // cannot overflow the <i-slide> element (the height of the <html>
+  // element must be specified because <body> is absoluted positioned in
+  // Shower.js, so height of <html> would be 0 otherwise)
+  const htmlEl = document.createElement('html');
+  htmlEl.style.position = 'relative';
+  htmlEl.style.overflow = 'hidden';
+  htmlEl.style.height = `${height}px`;
+  headEl.appendChild(hostStyleEl);
+
+  if (!entry.width) {
+    // Nothing known about intrinsic slide dimensions for now,
+    // hide the slide on the left to avoid showing bogusly scaled content
+    slideEl.style.marginLeft = "-2000px";
+  }
+
+  htmlEl.appendChild(headEl);
+  htmlEl.appendChild(bodyEl);
+  root.append(htmlEl);
+
+  if (!entry.width) {
+    // Wait until we get the dimensions of the slide
+    // and move slide element back in the flow
+    await measure(slideEl, Promise.all([...styleLoadedPromises, fontsRegistered]));
+    slideEl.style.marginLeft = "inherit";
+  }
+
+  return {
+    slideEl: htmlEl,
+    bodyEl,
+    doc: entry.doc,
+    width: entry.width,
+    height: entry.height
+  };
+}
+
+
+/**
+ * Return the title of the given HTML slide deck and the ID and title of its
+ * slides. The title of a slide is the text of its first heading (headings in
+ * speaker notes excluded). Used by HTML format adapters.
+ */
+function getHTMLDeckInfo(entry) {
+  const getText = el => el?.textContent.replace(/\s+/g, ' ').trim();
+  return {
+    title: getText(entry.doc.querySelector('title')),
+    slides: entry.slides.map(slideEl => ({
+      id: slideEl.id,
+      title: getText([...slideEl.querySelectorAll('h1, h2, h3, h4, h5, h6')]
+        .find(el => !el.closest('aside')))
+    }))
+  };
+}
+
+
+/**
+ * Elements that contain speaker notes in HTML slides
+ */
+const notesSelector = '.notes, footer, aside';
+
+
+/**
+ * Return a fragment with the contents of the speaker notes of the given HTML
+ * slide (or of its "data-notes" attribute, as in reveal.js), or null if the
+ * slide has no notes. Used by HTML format adapters.
+ */
+function getHTMLNotes(entry, slideNumber) {
+  const slideEl = entry.slides[slideNumber - 1];
+  const fragment = entry.doc.createDocumentFragment();
+  if (slideEl.dataset.notes?.trim()) {
+    const paragraphEl = entry.doc.createElement('p');
+    paragraphEl.textContent = slideEl.dataset.notes;
+    fragment.append(paragraphEl);
+  }
+
+  // Notes elements may be nested, only keep the outermost ones. Notes are
+  // typically hidden by the styles of the slide deck, only their contents get
+  // extracted.
+  const notesEls = [...slideEl.querySelectorAll(notesSelector)]
+    .filter(el => !slideEl.contains(el.parentElement.closest(notesSelector)));
+  for (const el of notesEls) {
+    fragment.append(...[...el.childNodes].map(node => node.cloneNode(true)));
+  }
+  return fragment.textContent.trim() ? fragment : null;
+}
+
+
+/**
+ * Incremental items in HTML slides, revealed one after the other during the
+ * presentation
+ */
+const incrementalSelector = '.next, .incremental > *, .build > *';
+
+
+/**
+ * Return the incremental items of the given HTML slide, in document order.
+ * Items in speaker notes are ignored.
+ */
+function getIncrementalItems(slideEl) {
+  return [...slideEl.querySelectorAll(incrementalSelector)]
+    .filter(el => !slideEl.contains(el.closest(notesSelector)));
+}
+
+
+/**
+ * Show the given HTML slide as it looks at the given build step: as in
+ * Shower and b6+, incremental items before the step are "visited", the item
+ * of the step is "active", and the remaining items are hidden. Step 0 hides
+ * all incremental items.
+ */
+function applyBuildStep(slideEl, step) {
+  getIncrementalItems(slideEl).forEach((el, index) => {
+    el.classList.toggle('visited', index < step - 1);
+    el.classList.toggle('active', index === step - 1);
+    if (index >= step) {
+      el.style.visibility = 'hidden';
+    }
+  });
+}
+
+
+/**
+ * Scale an HTML slide rendered with renderHTMLSlide()
+ */
+async function scaleHTMLSlide(view, scale) {
+  view.slideEl.style.width = `${view.width * scale}px`;
+  view.slideEl.style.height = `${view.height * scale}px`;
+  view.bodyEl.style.transform = `scale(${scale})`;
+}
+
+
+/**
+ * Return a promise for a data: URL with the contents of the resource at the
+ * given URL, or for the URL itself if the resource cannot be fetched
+ */
+async function fetchAsDataURL(url) {
+  try {
+    const resp = await fetch(url);
+    if (resp.status !== 200) {
+      return url;
+    }
+    const blob = await resp.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.addEventListener('load', _ => resolve(reader.result));
+      reader.addEventListener('error', _ => reject(reader.error));
+      reader.readAsDataURL(blob);
+    });
+  }
+  catch {
+    return url;
+  }
+}
+
+
+/**
+ * Replace the (rebased) url() references in the given CSS text with data:
+ * URLs, so that images and fonts still load when the CSS gets used in an
+ * image. Resources that cannot be fetched are left as is.
+ */
+async function embedCSSUrls(css) {
+  const regexp = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+  const urls = new Set([...css.matchAll(regexp)]
+    .map(match => match[2])
+    .filter(url => !url.startsWith('data:') && !url.startsWith('#')));
+  const dataUrls = new Map(await Promise.all([...urls].map(async url =>
+    [url, await fetchAsDataURL(url)])));
+  return css.replace(regexp, (match, quote, url) =>
+    dataUrls.has(url) ? `url("${dataUrls.get(url)}")` : match);
+}
+
+
+/**
+ * Return the dimensions of the image to capture of the given view: the
+ * requested dimensions, completed with the aspect ratio of the slide when
+ * only one of them is set, or the intrinsic dimensions of the slide.
+ */
+function getCaptureSize(view, { width, height } = {}) {
+  width = width || (height ? height * view.width / view.height : view.width);
+  height = height || width * view.height / view.width;
+  return { width: Math.round(width), height: Math.round(height) };
+}
+
+
+/**
+ * Capture an HTML slide rendered with renderHTMLSlide() at the given
+ * dimensions and return (a promise for) a canvas. The rendered document gets
+ * serialized in an SVG <foreignObject> image, with style sheets, images and
+ * fonts embedded as SVG images cannot load external resources.
+ */
+async function captureHTMLSlide(view, { width, height }) {
+  // The clone is laid out at the intrinsic dimensions of the slide, the SVG
+  // image scales it to the requested dimensions
+  const htmlEl = view.slideEl.cloneNode(true);
+  htmlEl.style.width = `${view.width}px`;
+  htmlEl.style.height = `${view.height}px`;
+  htmlEl.querySelector('body').style.transform = 'none';
+
+  const linkEls = [...htmlEl.querySelectorAll('link[rel~=stylesheet][href]')];
+  const styleEls = [...htmlEl.querySelectorAll('style')];
+  const imgEls = [...htmlEl.querySelectorAll('img[src]')];
+  await Promise.all([
+    ...linkEls.map(async linkEl => {
+      // Imported style sheets are appended to the CSS text
+      const css = await fetchStyleSheetText(linkEl.href, view.doc);
+      const styleEl = document.createElement('style');
+      if (linkEl.media) {
+        styleEl.media = linkEl.media;
+      }
+      styleEl.textContent = await embedCSSUrls(css.replace(/@import\s[^;]*;/g, ''));
+      linkEl.replaceWith(styleEl);
+    }),
+    ...styleEls.map(async styleEl => {
+      styleEl.textContent = await embedCSSUrls(styleEl.textContent);
+    }),
+    ...imgEls.map(async imgEl => {
+      imgEl.removeAttribute('srcset');
+      imgEl.src = await fetchAsDataURL(imgEl.src);
+    })
+  ]);
+
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+    `viewBox="0 0 ${view.width} ${view.height}" preserveAspectRatio="none">` +
+    `<foreignObject width="${view.width}" height="${view.height}">` +
+    new XMLSerializer().serializeToString(htmlEl) +
+    '</foreignObject></svg>';
+  const imageEl = new Image();
+  imageEl.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+  await imageEl.decode();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(imageEl, 0, 0, width, height);
+  return canvas;
+}
+
+
+/**
+ * Format adapter for HTML slides made with Shower or b6+. Slides are elements
+ * with a "slide" class.
+ */
+const showerFormat = {
+  name: 'shower-2014',
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+
+  detect(source) {
+    return detectByType(source, this.mimeTypes, /\.x?html?$/i) ??
+      /^(\xEF\xBB\xBF)?\s*</.test(sniff(source.bytes));
+  },
+
+  async parse(source) {
+    const doc = parseHTMLDeck(source);
+    return { doc, slides: [...doc.querySelectorAll('.slide')] };
+  },
+
+  countSlides(entry) {
+    return entry.slides.length;
+  },
+
+  findSlide(entry, fragment) {
+    const slideEl = entry.doc.getElementById(fragment) ||
+      entry.slides[parseInt(fragment, 10) - 1];
+    const index = entry.slides.indexOf(slideEl);
+    return index >= 0 ? index + 1 : null;
+  },
+
+  async render(entry, slideNumber, context) {
+    const { doc, slides } = entry;
+    const bodyEl = doc.querySelector('body').cloneNode();
+    const slideEl = slides[slideNumber - 1].cloneNode(true);
+    slideEl.style.marginLeft = '0';
+
+    // HTML slides are typically numbered through CSS, using a `slide`
+    // counter. We only render one slide, let's force the value to the
+    // actual slide number.
+    slideEl.style.counterReset =
+      `slide ${slideNumber - 1} numslides ${slides.length}`;
+
+    //  Works for Shower and b6
+    slideEl.classList.add('active');
+    bodyEl.classList.add('full');
+    bodyEl.classList.remove('list');
+    if (Number.isInteger(context.step)) {
+      applyBuildStep(slideEl, context.step);
+    }
+
+    // Specific to Shower with CSS Variables
+    slideEl.style.setProperty('--slide-scale', 1);
+
+    bodyEl.appendChild(slideEl);
+    return renderHTMLSlide(entry, bodyEl, slideEl, context);
+  },
+
+  scale: scaleHTMLSlide,
+  capture: captureHTMLSlide,
+
+  getInfo(entry) {
+    const info = getHTMLDeckInfo(entry);
+    info.slides.forEach((slide, index) => {
+      slide.steps = getIncrementalItems(entry.slides[index]).length;
+    });
+    return info;
+  },
+
+  getNotes: getHTMLNotes,
+  destroy: destroyHTMLDeck
+};
+
+
+/**
+ * Read the reveal.js configuration options that matter for rendering from
+ * the inline script that initializes reveal.js, if any. Falls back to reveal's
+ * defaults.
+ */
+function readRevealConfig(doc) {
+  const script = [...doc.querySelectorAll('script:not([src])')]
+    .map(el => el.textContent)
+    .find(text => text.match(/Reveal\.initialize\(|new Reveal\(/)) ?? '';
+  const options = script.slice(script.search(/Reveal\.initialize\(|new Reveal\(/));
+  const read = name => options
+    .match(new RegExp(`\\b${name}\\s*:\\s*([^,}\\n]+)`))?.[1].trim();
+
+  const width = parseInt(read('width'), 10);
+  const height = parseInt(read('height'), 10);
+  const slideNumber = read('slideNumber');
+  return {
+    width: width > 0 ? width : 960,
+    height: height > 0 ? height : 700,
+    center: read('center') !== 'false',
+    slideNumber: (!slideNumber || slideNumber === 'false') ? null :
+      (slideNumber === 'true' ? 'h.v' : slideNumber.replace(/^['"]|['"]$/g, ''))
+  };
+}
+
+
+/**
+ * Format adapter for HTML slides made with reveal.js. Slides are the sections
+ * of the ".reveal .slides" element. Sections that contain sections are stacks
+ * of vertical slides. Slides are rendered with reveal's layout and theme
+ * styles, without running reveal's JavaScript.
+ */
+const revealFormat = {
+  name: 'reveal',
+  mimeTypes: showerFormat.mimeTypes,
+
+  detect(source) {
+    return showerFormat.detect(source) &&
+      /<div[^>]*\sclass\s*=\s*(["'])(?:[^"']*\s)?reveal(?:\s[^"']*)?\1/i.test(source.text);
+  },
+
+  async parse(source) {
+    const doc = parseHTMLDeck(source);
+
+    // Themes define their variables on ":root", which does not match anything
+    // in a shadow tree
+    const toHost = css => css.replace(/:root\b/g, ':host');
+    await inlineStylesheets(doc, toHost);
+    doc.querySelectorAll('style').forEach(el => {
+      el.textContent = toHost(el.textContent);
+    });
+
+    doc.querySelectorAll('[data-background-image]').forEach(el => {
+      try {
+        const url = new URL(el.getAttribute('data-background-image'), source.url);
+        el.setAttribute('data-background-image', url.href);
+      }
+      catch {}
+    });
+
+    const slides = [];
+    const positions = [];
+    doc.querySelectorAll('.reveal .slides > section').forEach((section, h) => {
+      const stack = [...section.children].filter(el => el.localName === 'section');
+      if (stack.length) {
+        stack.forEach((el, v) => {
+          slides.push(el);
+          positions.push({ h, v });
+        });
+      }
+      else {
+        slides.push(section);
+        positions.push({ h, v: 0 });
+      }
+    });
+
+    // Intrinsic dimensions are set by the configuration, no need to measure
+    // slides
+    const revealConfig = readRevealConfig(doc);
+    return {
+      doc, slides, positions, revealConfig,
+      width: revealConfig.width,
+      height: revealConfig.height
+    };
+  },
+
+  countSlides(entry) {
+    return entry.slides.length;
+  },
+
+  findSlide(entry, fragment) {
+    const { doc, slides, positions } = entry;
+    let index = -1;
+    const m = fragment.match(/^\/(\d+)?(?:\/(\d+))?(?:\/\d+)?$/);
+    if (m) {
+      // Reveal's "#/h/v" fragments, with 0-based indices
+      const h = parseInt(m[1] ?? '0', 10);
+      const v = parseInt(m[2] ?? '0', 10);
+      index = positions.findIndex(p => p.h === h && p.v === v);
+    }
+    else {
+      // Reveal's "#/slide-id" fragments, or slide IDs and slide numbers as
+      // for other HTML slides
+      const id = fragment.replace(/^\//, '');
+      let el = doc.getElementById(id);
+      if (el && !slides.includes(el)) {
+        el = [...el.children].find(child => slides.includes(child));
+      }
+      index = slides.indexOf(el);
+      if ((index < 0) && !fragment.startsWith('/')) {
+        const slideNumber = parseInt(fragment, 10);
+        index = slides[slideNumber - 1] ? slideNumber - 1 : -1;
+      }
+    }
+    return index >= 0 ? index + 1 : null;
+  },
+
+  async render(entry, slideNumber, context) {
+    const { doc, slides, positions, revealConfig, width, height } = entry;
+    const origSlideEl = slides[slideNumber - 1];
+    const { h, v } = positions[slideNumber - 1];
+
+    // Reproduce the layout that reveal's JavaScript would apply
+    const bodyEl = doc.querySelector('body').cloneNode();
+    bodyEl.classList.add('reveal-viewport');
+    bodyEl.style.width = `${width}px`;
+    bodyEl.style.height = `${height}px`;
+
+    const revealEl = doc.querySelector('.reveal').cloneNode();
+    revealEl.classList.add('ready');
+    revealEl.classList.toggle('center', revealConfig.center);
+    revealEl.style.position = 'relative';
+    revealEl.style.width = `${width}px`;
+    revealEl.style.height = `${height}px`;
+    revealEl.style.overflow = 'hidden';
+
+    const slidesEl = doc.querySelector('.reveal .slides').cloneNode();
+    slidesEl.style.width = `${width}px`;
+    slidesEl.style.height = `${height}px`;
+    slidesEl.style.inset = '0';
+    slidesEl.style.margin = '0';
+    slidesEl.style.transform = 'none';
+
+    const slideEl = origSlideEl.cloneNode(true);
+    slideEl.classList.remove('past', 'future');
+    slideEl.classList.add('present');
+    slideEl.style.display = revealConfig.center ? 'flex' : 'block';
+    slideEl.style.flexDirection = 'column';
+    slideEl.style.justifyContent = 'center';
+    slideEl.style.boxSizing = 'border-box';
+    slideEl.style.top = '0';
+    slideEl.style.height = `${height}px`;
+
+    // Same counters as for Shower and b6+ slides
+    slideEl.style.counterReset =
+      `slide ${slideNumber - 1} numslides ${slides.length}`;
+
+    // Show all fragments
+    slideEl.querySelectorAll('.fragment').forEach(el => el.classList.add('visible'));
+
+    // Vertical slides need to be rendered within their stack
+    let containerEl = slideEl;
+    const stackEl = (origSlideEl.parentElement.localName === 'section') ?
+      origSlideEl.parentElement : null;
+    if (stackEl) {
+      containerEl = stackEl.cloneNode();
+      containerEl.classList.add('stack', 'present');
+      containerEl.style.display = 'block';
+      containerEl.style.top = '0';
+      containerEl.style.height = `${height}px`;
+      containerEl.appendChild(slideEl);
+    }
+    slidesEl.appendChild(containerEl);
+
+    // Reveal renders slide backgrounds in a separate layer
+    const backgroundEl = [origSlideEl, stackEl].find(el =>
+      el?.hasAttribute('data-background-color') ||
+      el?.hasAttribute('data-background-image'));
+    if (backgroundEl) {
+      revealEl.style.backgroundColor =
+        backgroundEl.getAttribute('data-background-color') ?? '';
+      if (backgroundEl.hasAttribute('data-background-image')) {
+        revealEl.style.backgroundImage =
+          `url("${backgroundEl.getAttribute('data-background-image')}")`;
+        revealEl.style.backgroundSize =
+          backgroundEl.getAttribute('data-background-size') ?? 'cover';
+        revealEl.style.backgroundPosition = 'center';
+        revealEl.style.backgroundRepeat = 'no-repeat';
+      }
+    }
+    revealEl.appendChild(slidesEl);
+
+    // Reveal's equivalent of slide counters is a slide number element
+    if (revealConfig.slideNumber) {
+      const values = {
+        h: h + 1,
+        v: v + 1,
+        c: slideNumber,
+        t: slides.length
+      };
+      const format =
+        ['h.v', 'h/v', 'c', 'c/t'].includes(revealConfig.slideNumber) ?
+        revealConfig.slideNumber : 'h.v';
+      const numberEl = document.createElement('div');
+      numberEl.className = 'slide-number';
+      numberEl.style.display = 'block';
+      numberEl.textContent = format
+        .replace(/([.\/])v$/, v > 0 ? '$1v' : '')
+        .replace(/[hvct]/g, letter => values[letter]);
+      revealEl.appendChild(numberEl);
+    }
+
+    bodyEl.appendChild(revealEl);
+    return renderHTMLSlide(entry, bodyEl, revealEl, context);
+  },
+
+  scale: scaleHTMLSlide,
+  capture: captureHTMLSlide,
+  getInfo: getHTMLDeckInfo,
+  getNotes: getHTMLNotes,
+  destroy: destroyHTMLDeck
+};
+
+
+/**
+ * Escape special HTML characters in the given text
+ */
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+
+/**
+ * Render inline Markdown content (code spans, images, links, emphasis and
+ * line breaks) as HTML
+ */
+function renderMarkdownInline(text) {
+  // Only let through relative URLs, URLs whose scheme cannot run scripts, and
+  // images embedded as data: URLs. Browsers ignore control characters and
+  // spaces in schemes.
+  const safeUrl = (url, { image } = {}) => {
+    const scheme = url.replace(/[\u0000-\u0020]/g, '')
+      .match(/^([a-z][a-z\d+.-]*):/i)?.[1].toLowerCase();
+    const allowed = !scheme || ['http', 'https', 'mailto'].includes(scheme) ||
+      (image && (scheme === 'data') && /^data:image\//i.test(url));
+    return allowed ? url : '#';
+  };
+
+  // Set code spans aside, their content must not be processed
+  const codes = [];
+  text = text.replace(/(`+)([\s\S]+?)\1/g, (match, ticks, code) => {
+    codes.push(code.trim());
+    return `\u0000${codes.length - 1}\u0000`;
+  });
+
+  return escapeHTML(text)
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\)/g,
+      (match, alt, src, title) =>
+        `<img src="${safeUrl(src, { image: true })}" alt="${alt}"` +
+        (title ? ` title="${title}"` : '') + '>')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\)/g,
+      (match, label, href, title) => `<a href="${safeUrl(href)}"` +
+        (title ? ` title="${title}"` : '') + `>${label}</a>`)
+    .replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, '<a href="$1">$1</a>')
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/ {2,}\n/g, '<br>\n')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) =>
+      `<code>${escapeHTML(codes[index])}</code>`);
+}
+
+
+/**
+ * Render Markdown block content as HTML. This is a minimal renderer that
+ * supports headings, paragraphs, lists, block quotes, fenced code blocks and
+ * inline content. Raw HTML is escaped.
+ */
+function renderMarkdown(markdown) {
+  const lines = markdown.split('\n');
+  const html = [];
+  const fenceRe = /^\s*(```|~~~)\s*([\w-]*)/;
+  const headingRe = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+  const quoteRe = /^\s*>\s?/;
+  const itemRe = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+  const isBlockStart = line =>
+    fenceRe.test(line) || headingRe.test(line) || quoteRe.test(line) || itemRe.test(line);
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    let m;
+    if (!line.trim()) {
+      i++;
+    }
+    else if (m = line.match(fenceRe)) {
+      const code = [];
+      i++;
+      while ((i < lines.length) && !lines[i].trim().startsWith(m[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const lang = m[2] ? ` class="language-${m[2]}"` : '';
+      html.push(`<pre><code${lang}>${escapeHTML(code.join('\n'))}</code></pre>`);
+    }
+    else if (m = line.match(headingRe)) {
+      const level = m[1].length;
+      html.push(`<h${level}>${renderMarkdownInline(m[2])}</h${level}>`);
+      i++;
+    }
+    else if (quoteRe.test(line)) {
+      const quote = [];
+      while ((i < lines.length) && quoteRe.test(lines[i])) {
+        quote.push(lines[i].replace(quoteRe, ''));
+        i++;
+      }
+      html.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+    }
+    else if (m = line.match(itemRe)) {
+      const indent = m[1].length;
+      const ordered = /\d/.test(m[2]);
+      const contentIndent = new RegExp(`^\\s{0,${indent + m[2].length + 1}}`);
+      const items = [];
+      let tight = true;
+      while (i < lines.length) {
+        const item = lines[i].match(itemRe);
+        if (item && (item[1].length === indent) && (/\d/.test(item[2]) === ordered)) {
+          items.push([item[3]]);
+          i++;
+        }
+        else if (!lines[i].trim()) {
+          // Blank lines belong to the list if the list continues afterwards
+          const next = lines[i + 1] ?? '';
+          const nextItem = next.match(itemRe);
+          if (next.match(/^\s*/)[0].length > indent ||
+              (nextItem && (nextItem[1].length === indent) &&
+                (/\d/.test(nextItem[2]) === ordered))) {
+            tight = false;
+            items[items.length - 1].push('');
+            i++;
+          }
+          else {
+            break;
+          }
+        }
+        else if (lines[i].match(/^\s*/)[0].length > indent) {
+          items[items.length - 1].push(lines[i].replace(contentIndent, ''));
+          i++;
+        }
+        else {
+          break;
+        }
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      const start = ordered ? parseInt(m[2], 10) : 1;
+      html.push(`<${tag}${start !== 1 ? ` start="${start}"` : ''}>` +
+        items.map(item => {
+          let content = renderMarkdown(item.join('\n'));
+          if (tight) {
+            content = content.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+          }
+          return `<li>${content}</li>`;
+        }).join('') +
+        `</${tag}>`);
+    }
+    else {
+      const paragraph = [];
+      while ((i < lines.length) && lines[i].trim() &&
+          ((paragraph.length === 0) || !isBlockStart(lines[i]))) {
+        paragraph.push(lines[i]);
+        i++;
+      }
+      html.push(`<p>${renderMarkdownInline(paragraph.join('\n').trim())}</p>`);
+    }
+  }
+  return html.join('\n');
+}
+
+
+/**
+ * Default styles for Markdown slides
+ */
+const markdownStyles = `
+  body {
+    width: 1024px;
+    height: 576px;
+    margin: 0;
+  }
+  .slide {
+    position: relative;
+    box-sizing: border-box;
+    width: 1024px;
+    height: 576px;
+    padding: 48px 64px;
+    overflow: hidden;
+    counter-increment: slide;
+    background: white;
+    color: #222;
+    font: 28px/1.4 system-ui, sans-serif;
+  }
+  .slide::after {
+    content: counter(slide);
+    position: absolute;
+    right: 24px;
+    bottom: 16px;
+    font-size: 16px;
+    color: #888;
+  }
+  .slide h1 { font-size: 56px; line-height: 1.2; margin: 0 0 24px; }
+  .slide h2 { font-size: 44px; line-height: 1.2; margin: 0 0 24px; }
+  .slide h3 { font-size: 36px; line-height: 1.2; margin: 0 0 20px; }
+  .slide p, .slide ul, .slide ol, .slide blockquote, .slide pre {
+    margin: 0 0 20px;
+  }
+  .slide img { max-width: 100%; max-height: 400px; }
+  .slide code { font-family: ui-monospace, monospace; }
+  .slide pre {
+    font-size: 20px;
+    background: #f4f4f4;
+    padding: 16px;
+    border-radius: 4px;
+    overflow: hidden;
+  }
+  .slide blockquote {
+    margin-left: 0;
+    padding-left: 24px;
+    border-left: 6px solid #ccc;
+    color: #555;
+  }
+  .slide a { color: #0b57d0; }
+  .slide.center { text-align: center; }
+  .slide.middle {
+    display: flex;
+    flex-direction: column;
+    justify-content: center;
+  }
+  .slide.inverse { background: #272822; color: #f3f3f3; }
+  .slide.inverse a { color: #8ab4f8; }
+  .slide .notes { display: none; }
+`;
+
+
+/**
+ * Format adapter for Markdown slides (remark.js and Marp style): slides are
+ * separated by "---" lines, and speaker notes follow a "???" line. Slides are
+ * converted to an HTML slide deck that gets rendered as Shower slides, with a
+ * default stylesheet.
+ */
+const markdownFormat = {
+  name: 'markdown',
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+
+  detect(source) {
+    return detectByType(source, this.mimeTypes, /\.(md|markdown)$/i) ?? false;
+  },
+
+  async parse(source) {
+    let lines = source.text.replace(/\r\n?/g, '\n').split('\n');
+    let title;
+
+    // Skip front matter (Marp style)
+    if (lines[0].trim() === '---') {
+      const end = lines.indexOf('---', 1);
+      const frontMatter = lines.slice(1, end);
+      if ((end > 0) && frontMatter.every(line => !line.trim() || /^[\w-]+\s*:/.test(line))) {
+        title = frontMatter.map(line => line.match(/^title\s*:\s*(.*)$/)?.[1])
+          .find(value => value)?.replace(/^['"]|['"]$/g, '');
+        lines = lines.slice(end + 1);
+      }
+    }
+
+    // Split slides, ignoring separators in fenced code blocks. Incremental
+    // slides ("--" separators in remark.js) are merged.
+    const slides = [[]];
+    let fence = null;
+    for (const line of lines) {
+      const m = line.match(/^\s*(```|~~~)/);
+      if (m) {
+        fence = (fence === m[1]) ? null : (fence ?? m[1]);
+      }
+      if (!fence && /^---\s*$/.test(line)) {
+        slides.push([]);
+      }
+      else if (fence || !/^--\s*$/.test(line)) {
+        slides[slides.length - 1].push(line);
+      }
+    }
+
+    const sections = slides.map(slideLines => {
+      // Slide properties (remark.js style)
+      const props = {};
+      while (slideLines.length && !slideLines[0].trim()) {
+        slideLines.shift();
+      }
+      while (slideLines.length) {
+        const m = slideLines[0].match(/^(name|class|background-image|layout|exclude|count|template)\s*:\s*(.*)$/);
+        if (!m) {
+          break;
+        }
+        props[m[1]] = m[2].trim();
+        slideLines.shift();
+      }
+      if (props.exclude === 'true' || props.layout === 'true') {
+        return '';
+      }
+
+      const markdown = slideLines.join('\n').replace(/<!--[\s\S]*?-->/g, '');
+      const [content, notes] = markdown.split(/^\?\?\?\s*$/m);
+      title = title ?? content.match(/^#{1,6}\s+(.*?)\s*#*\s*$/m)?.[1];
+
+      const classes = ['slide']
+        .concat((props.class ?? '').split(/[\s,]+/).filter(c => c));
+      const id = props.name ? ` id="${escapeHTML(props.name)}"` : '';
+      const style = props['background-image'] ?
+        ` style="${escapeHTML(rebaseCSSUrls(
+          `background-image: ${props['background-image']}; background-size: cover`,
+          source.url))}"` :
+        '';
+      return `<section class="${escapeHTML(classes.join(' '))}"${id}${style}>\n` +
+        renderMarkdown(content) + '\n' +
+        (notes ? `<aside class="notes">\n${renderMarkdown(notes)}\n</aside>\n` : '') +
+        '</section>';
+    });
+
+    const text = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title ?? '')}</title>
+<style>${markdownStyles}</style>
+</head>
+<body>
+${sections.filter(section => section).join('\n')}
+</body>
+</html>`;
+    const doc = parseHTMLDeck({ url: source.url, text });
+
+    // The default stylesheet sets the dimensions of the slides
+    return {
+      doc,
+      slides: [...doc.querySelectorAll('.slide')],
+      width: 1024,
+      height: 576
+    };
+  },
+
+  countSlides: showerFormat.countSlides,
+  findSlide: showerFormat.findSlide,
+  render: showerFormat.render,
+  scale: scaleHTMLSlide,
+  capture: captureHTMLSlide,
+  getInfo: getHTMLDeckInfo,
+  getNotes: getHTMLNotes,
+  destroy: destroyHTMLDeck
+};
+
+
+/**
+ * Return the text of the first heading that the structure tree of the given
+ * page of a tagged PDF document lists, or the first alternate text of the
+ * page if it has no heading, or null. Structure elements reference the text
+ * of the page through the IDs of marked content sequences.
+ */
+async function getPDFPageStructTitle(pdf, pageNumber) {
+  let page;
+  try {
+    page = await pdf.getPage(pageNumber);
+    const nodes = [];
+    const walk = node => {
+      nodes.push(node);
+      node.children?.forEach(walk);
+    };
+    walk(await page.getStructTree() ?? {});
+
+    const heading = nodes.find(node => node.role === 'H1') ??
+      nodes.find(node => node.role === 'H');
+    const ids = new Set();
+    const collectIds = node => {
+      if (node.type === 'content') {
+        ids.add(node.id);
+      }
+      node.children?.forEach(collectIds);
+    };
+    if (heading) {
+      collectIds(heading);
+    }
+
+    const strs = [];
+    if (ids.size > 0) {
+      const { items } = await page.getTextContent({ includeMarkedContent: true });
+      const sequences = [];
+      for (const item of items) {
+        if (item.type?.startsWith('beginMarkedContent')) {
+          sequences.push(item.id);
+        }
+        else if (item.type === 'endMarkedContent') {
+          sequences.pop();
+        }
+        else if (sequences.some(id => ids.has(id))) {
+          strs.push(item.str);
+        }
+      }
+    }
+    return strs.join(' ').replace(/\s+/g, ' ').trim() ||
+      nodes.find(node => node.alt?.trim())?.alt.trim() ||
+      null;
+  }
+  catch {
+    return null;
+  }
+  finally {
+    page?.cleanup();
+  }
+}
+
+
+/**
+ * Return the text of the given page of a PDF document that is rendered with
+ * the largest font, or null if the page has no text. Used as title when the
+ * structure tree and the outline of the document say nothing about the page.
+ */
+async function getPDFPageHeading(pdf, pageNumber) {
+  try {
+    const page = await pdf.getPage(pageNumber);
+    const { items } = await page.getTextContent();
+    page.cleanup();
+    const textItems = items.filter(item => item.str?.trim());
+    const height = Math.max(...textItems.map(item => item.height));
+    const first = textItems.find(item => item.height === height);
+    if (!first) {
+      return null;
+    }
+
+    // A heading may be split in several items on the same line
+    return textItems
+      .filter(item => (item.height === height) &&
+        (item.transform[5] === first.transform[5]))
+      .map(item => item.str)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  catch {
+    return null;
+  }
+}
+
+
+/**
+ * Create a PDF.js link service for the given page of a PDF document, so that
+ * links in the annotation layer work: links to other pages of the document
+ * call the given navigate function with the number of the targeted page,
+ * other links are regular links.
+ */
+function createPDFLinkService(pdf, pageNumber, navigate) {
+  const pdfjsViewer = window[PDFScripts.pdfjsViewer.obj];
+  const linkService = new pdfjsViewer.PDFLinkService({
+    eventBus: new pdfjsViewer.EventBus()
+  });
+  linkService.setDocument(pdf);
+
+  // The link service expects a full PDF viewer, only navigation is needed
+  linkService.setViewer({
+    get currentPageNumber() {
+      return pageNumber;
+    },
+    set currentPageNumber(value) {
+      navigate(value);
+    },
+    pagesRotation: 0,
+    isInPresentationMode: false,
+    scrollPageIntoView: ({ pageNumber }) => navigate(pageNumber),
+    pageLabelToPageNumber: _ => null,
+    nextPage: _ => navigate(pageNumber + 1),
+    previousPage: _ => navigate(pageNumber - 1)
+  });
+  return linkService;
+}
+
+
+/**
+ * Delay before a PDF slide gets drawn again when it is scaled, in milliseconds.
+ * Scaling operations during that delay (e.g. while the user resizes a pane)
+ * replace the pending one.
+ */
+const pdfRedrawDelay = 100;
+
+
+/**
+ * Maximum number of pixels of the canvas of a PDF slide rendered for printing
+ */
+const maxPrintCanvasPixels = 2 ** 24;
+
+
+/**
+ * Format adapter for PDF slides, rendered with PDF.js. Slides are pages.
+ */
+const pdfFormat = {
+  name: 'pdf',
+  mimeTypes: ['application/pdf'],
+
+  detect(source) {
+    return detectByType(source, this.mimeTypes, /\.pdf$/i) ??
+      sniff(source.bytes).includes('%PDF-');
+  },
+
+  load() {
+    return loadPDFScripts();
+  },
+
+  streaming: true,
+
+  async parse({ url, bytes }) {
+    this.load();
+    await PDFScriptsLoaded;
+
+    // PDF.js streams slide decks that were not downloaded upfront, and
+    // fetches the parts it needs with range requests
+    const loadingTask = window[PDFScripts.pdfjsLib.obj].getDocument(
+      bytes ? new Uint8Array(bytes) : { url });
+    const pdf = await loadingTask.promise;
+    return { pdf };
+  },
+
+  countSlides(entry) {
+    return entry.pdf.numPages;
+  },
+
+  findSlide(entry, fragment) {
+    const m = fragment.match(/^(page=)?(\d+)$/);
+    const slideNumber = m ? parseInt(m[2], 10) : 0;
+    return (slideNumber >= 1 && slideNumber <= entry.pdf.numPages) ?
+      slideNumber : null;
+  },
+
+  async render(entry, slideNumber, { root, hostStyleEl, textLayer, maxCanvasPixels, navigate }) {
+    // The PDF.js stylesheet may be provided as a constructed stylesheet
+    const css = config.pdfjs.css;
+    const styleEls = [];
+    if (css instanceof CSSStyleSheet) {
+      const shadowRoot = root.getRootNode();
+      if (!shadowRoot.adoptedStyleSheets.includes(css)) {
+        shadowRoot.adoptedStyleSheets = [...shadowRoot.adoptedStyleSheets, css];
+      }
+    }
+    else if (css) {
+      const styleEl = document.createElement('link');
+      styleEl.rel = 'stylesheet';
+      styleEl.href = css;
+      styleEls.push(styleEl);
+    }
+
+    const slideEl = document.createElement('div');
+    slideEl.setAttribute('class', 'pdfViewer');
+    // Needed to properly position the annotation layer (e.g. links)
+    slideEl.style.position = "relative";
+    slideEl.style.overflow = "hidden";
+
+    root.append(hostStyleEl, ...styleEls, slideEl);
+
+    const page = await entry.pdf.getPage(slideNumber);
+
+    // Note that the PDF slide gets rendered when it is scaled up/down to
+    // the right dimensions in #scaleContent
+    return {
+      slideEl,
+      slideNumber,
+      page,
+      textLayer,
+      maxCanvasPixels,
+      linkService: createPDFLinkService(entry.pdf, slideNumber, navigate),
+      width: page.view[2],
+      height: page.view[3]
+    };
+  },
+
+  async scale(view, scale) {
+    const pdfjsLib = window[PDFScripts.pdfjsLib.obj];
+    const pdfjsViewer = window[PDFScripts.pdfjsViewer.obj];
+
+    // Need to convert from CSS points to CSS pixels
+    scale = scale * 72 / 96;
+
+    // Make slides fit the desired dimensions of the component, at the device
+    // pixel ratio (within the canvas size limit, if any). The text layer
+    // makes text selectable and searchable, the annotation layer makes links
+    // work. Both get laid out again at the new scale. (The viewer does not
+    // export text layer modes: 0 disables the text layer, 1 enables it)
+    const scaleId = view.scaleId = (view.scaleId ?? 0) + 1;
+    if (view.pageView) {
+      // The page view is reused. Updating it cancels the rendering in flight,
+      // if any, and stretches the current canvas, which serves as a preview
+      // until the page is drawn again at the new scale. Cancellation removes
+      // the canvas from the page view, the preview needs to be put back in
+      // that case. Resize bursts only trigger one drawing operation, once
+      // they settle.
+      const canvasWrapperEl = view.pageView.div.querySelector('.canvasWrapper');
+      view.previewEl ??= canvasWrapperEl?.querySelector('canvas');
+      view.pageView.update({ scale });
+      if (view.previewEl && !view.previewEl.isConnected) {
+        canvasWrapperEl.append(view.previewEl);
+      }
+      await new Promise(resolve => setTimeout(resolve, pdfRedrawDelay));
+      if (view.scaleId !== scaleId) {
+        return;
+      }
+    }
+    else {
+      view.pageView = new pdfjsViewer.PDFPageView({
+        container: view.slideEl,
+        id: view.slideNumber,
+        scale: scale,
+        defaultViewport: view.page.getViewport({ scale }),
+        eventBus: new pdfjsViewer.EventBus(),
+        maxCanvasPixels: view.maxCanvasPixels,
+        textLayerMode: view.textLayer ? 1 : 0,
+        annotationMode: pdfjsLib.AnnotationMode.ENABLE,
+        layerProperties: { linkService: view.linkService }
+      });
+
+      // Associates the actual page with the view
+      view.pageView.setPdfPage(view.page);
+    }
+
+    // Updating a page view whose canvas is restricted (when the canvas size
+    // limit is reached, or 0) only zooms the canvas with CSS. The page view
+    // is not reset in that case, and cannot be drawn again.
+    if (view.pageView.renderingState === pdfjsViewer.RenderingStates.INITIAL) {
+      await view.pageView.draw();
+    }
+
+    // Drop the preview once the page is drawn at the latest scale
+    if ((view.scaleId === scaleId) && view.previewEl) {
+      if (view.previewEl !== view.pageView.canvas) {
+        view.previewEl.remove();
+      }
+      view.previewEl = null;
+    }
+  },
+
+  async print(view, pixelRatio) {
+    // Draw the page at print resolution, within reasonable memory limits, on
+    // a canvas that covers the page view and that only shows in print media.
+    // PDF.js manages the contents of the page view, the canvas goes to the
+    // container of the slide. Not needed when the canvas of the page view is
+    // already sharp enough.
+    const viewport = view.pageView?.viewport;
+    if (!viewport) {
+      return null;
+    }
+    const ratio = Math.min(pixelRatio,
+      Math.sqrt(maxPrintCanvasPixels / (viewport.width * viewport.height)));
+    const width = Math.floor(viewport.width * ratio);
+    if (view.pageView.canvas?.width >= width) {
+      return null;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = Math.floor(viewport.height * ratio);
+    await view.page.render({
+      canvasContext: canvas.getContext('2d'),
+      viewport: viewport.clone({ scale: viewport.scale * ratio })
+    }).promise;
+    const pageEl = view.pageView.div;
+    canvas.className = 'i-slide-print-only';
+    canvas.style.cssText = `position: absolute;
+      left: ${pageEl.offsetLeft + pageEl.clientLeft}px;
+      top: ${pageEl.offsetTop + pageEl.clientTop}px;
+      width: ${pageEl.clientWidth}px;
+      height: ${pageEl.clientHeight}px;`;
+    view.slideEl.append(canvas);
+    return _ => canvas.remove();
+  },
+
+  async capture(view, { width, height }) {
+    // Draw the page on a canvas of its own, at the requested resolution,
+    // stretching it vertically if the aspect ratio differs
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const viewport = view.page.getViewport({ scale: width / view.width });
+    await view.page.render({
+      canvasContext: canvas.getContext('2d'),
+      viewport,
+      transform: [1, 0, 0, height / viewport.height, 0, 0]
+    }).promise;
+    return canvas;
+  },
+
+  async getInfo(entry) {
+    const pdf = entry.pdf;
+    const [metadata, outline, labels] = await Promise.all([
+      pdf.getMetadata().catch(_ => null),
+      pdf.getOutline().catch(_ => null),
+      pdf.getPageLabels().catch(_ => null)
+    ]);
+
+    // Title of the first item in the outline that targets each page
+    const outlineTitles = {};
+    const walk = async items => {
+      for (const item of items ?? []) {
+        try {
+          const dest = (typeof item.dest === 'string') ?
+            await pdf.getDestination(item.dest) :
+            item.dest;
+          const pageIndex = (typeof dest[0] === 'number') ?
+            dest[0] :
+            await pdf.getPageIndex(dest[0]);
+          outlineTitles[pageIndex + 1] ??= item.title;
+        }
+        catch {}
+        await walk(item.items);
+      }
+    };
+    await walk(outline);
+
+    // Slides get their title from the structure tree of tagged documents,
+    // from the outline, from their page label when it is not just the page
+    // number, or from their text otherwise
+    const slides = [];
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const label = labels?.[number - 1];
+      const title = await getPDFPageStructTitle(pdf, number) ||
+        outlineTitles[number]?.trim() ||
+        ((label && (label !== String(number))) ? label : null) ||
+        await getPDFPageHeading(pdf, number);
+      slides.push({ title });
+    }
+    return { title: metadata?.info?.Title?.trim(), slides };
+  },
+
+  async getNotes(entry, slideNumber) {
+    // Notes are the contents of text annotations ("sticky notes")
+    const page = await entry.pdf.getPage(slideNumber);
+    const annotations = await page.getAnnotations();
+    const fragment = document.createDocumentFragment();
+    for (const annotation of annotations) {
+      const text = annotation.contentsObj?.str ?? annotation.contents;
+      if ((annotation.subtype === 'Text') && text?.trim()) {
+        const paragraphEl = document.createElement('p');
+        paragraphEl.textContent = text;
+        fragment.append(paragraphEl);
+      }
+    }
+    return fragment.childNodes.length ? fragment : null;
+  },
+
+  async destroy(entry) {
+    await entry.pdf.destroy();
+  }
+};
+
+registerFormat(showerFormat);
+registerFormat(pdfFormat);
+registerFormat(revealFormat);
+registerFormat(markdownFormat);
+
+
+/**
+ * The i-slide Web component
+ */
+class ISlide extends HTMLElement {
+  /**
+   * A fetch-and-render cycle has been scheduled to run during next tick
+   */
+  #renderCyclePlanned = false;
+
+  /**
+   * ID of the current fetch-and-render cycle (increment with each cycle)
+   */
+  #renderCycleID = 0;
+
+  /**
+   * Promise always set, resolved when the #render function may run
+   * (used to prevent re-entrancy)
+   */
+  #renderPossible = Promise.resolve();
+
+
+  /**
+   * Reflects the "src" attribute (slide source)
+   */
+  #src = this.baseURI;
+  get src() {
+    return this.#src;
+  }
+  set src(value) {
+    const oldValue = this.#src;
+    if (value) {
+      try {
+        this.#src = new URL(value, this.baseURI).href;
+      }
+      catch {
+        value = '';
+        this.#src = this.baseURI;
+      }
+    }
+    else {
+      this.#src = this.baseURI;
+    }
+
+    // Propagate the value to the HTML if change came from JS
+    if (this.getAttribute('src') !== value) {
+      this.setAttribute('src', value);
+    }
+
+    // Trigger a fetch-and-render cycle on next tick if value changed, unless
+    // that's already planned
+    if ((this.#src !== oldValue) && !this.#renderCyclePlanned) {
+      this.#renderCyclePlanned = true;
+      setTimeout(_ => this.#fetchAndRender(), 0);
+    }
+  }
+
+  /**
+   * Reflects the "srcref" attribute (slide source)
+   */
+  #srcref = "";
+  get srcref() {
+    return this.#src;
+  }
+  set srcref(value) {
+    const oldValue = this.#srcref;
+    if (value) {
+      const id = value.split("#")[0];
+      const type = getEmbeddedDeckType(document.getElementById(id));
+      if (type !== null) {
+        this.#srcref = value;
+
+        // Start loading the libraries that the format may need
+        findFormatByType(this.#type || type)?.load?.();
+      } else {
+        value = '';
+      }
+    }
+    // Propagate the value to the HTML if change came from JS
+    if (this.getAttribute('srcref') !== value) {
+      this.setAttribute('srcref', value);
+    }
+
+    // Trigger a fetch-and-render cycle on next tick if value changed, unless
+    // that's already planned
+    if ((this.#srcref !== oldValue) && !this.#renderCyclePlanned) {
+      this.#renderCyclePlanned = true;
+      setTimeout(_ => this.#fetchAndRender(), 0);
+    }
+  }
+
+  /**
+   * Slide deck object to render, modeled on HTMLMediaElement.srcObject. May
+   * be a File, a Blob or an ArrayBuffer, and takes precedence over the "src"
+   * and "srcref" attributes. The fragment of these attributes still selects
+   * the slide to render.
+   */
+  #srcObject = null;
+  get srcObject() {
+    return this.#srcObject;
+  }
+  set srcObject(value) {
+    value = value ?? null;
+    if ((value !== null) &&
+        !(value instanceof Blob) &&
+        !(value instanceof ArrayBuffer)) {
+      throw new TypeError('srcObject must be a File, a Blob, an ArrayBuffer or null');
+    }
+    const oldValue = this.#srcObject;
+    this.#srcObject = value;
+
+    // Start loading the libraries that the format may need
+    if (value instanceof Blob) {
+      findFormatByType(this.#type || value.type)?.load?.();
+    }
+
+    // Trigger a fetch-and-render cycle on next tick if value changed, unless
+    // that's already planned
+    if ((this.#srcObject !== oldValue) && !this.#renderCyclePlanned) {
+      this.#renderCyclePlanned = true;
+      setTimeout(_ => this.#fetchAndRender(), 0);
+    }
+  }
+
+
+  /**
+   * Reflects the "width" attribute (width of the custom element)
+   */
+  #width = defaultWidth;
+  get width() {
+    return this.#width;
+  }
+  set width(value) {
+    value = '' + value;
+    const oldValue = this.#width;
+    try {
+      this.#width = parseInt(value, 10);
+    }
+    catch {
+      value = '';
+      this.#width = defaultWidth;
+    }
+
+    // Propagate the value to the HTML if change came from JS
+    if (this.getAttribute('width') !== value) {
+      this.setAttribute('width', value);
+    }
+
+    // Changing the width should trigger a rescale of the content, unless
+    // a render is already planned, or unless a fetch is needed (in other words
+    // unless no fetch-and-render cycle has started yet)
+    if ((this.#width !== oldValue) && !this.#renderCyclePlanned &&
+        (this.#renderCycleID > 0)) {
+      this.#scaleContent({ width: this.#width });
+    }
+    else if (this.#lazyCyclePending) {
+      this.#reserveBox();
+    }
+  }
+
+
+  /**
+   * Reflects the "height" attribute (height of the custom element)
+   */
+  #height = null;
+  get height() {
+    return this.#height;
+  }
+  set height(value) {
+    value = '' + value;
+    const oldValue = this.#height;
+    try {
+      this.#height = parseInt(value, 10);
+    }
+    catch {
+      value = '';
+      this.#height = null;
+    }
+
+    // Propagate the value to the HTML if change came from JS
+    if (this.getAttribute('height') !== value) {
+      this.setAttribute('height', value);
+    }
+
+    // Changing the height should trigger a rescale of the content, unless
+    // a render is already planned, or unless a fetch is needed (in other words
+    // unless no fetch-and-render cycle has started yet)
+    if ((this.#height !== oldValue) && !this.#renderCyclePlanned &&
+        (this.#renderCycleID > 0)) {
+      this.#scaleContent({ height: this.#height });
+    }
+    else if (this.#lazyCyclePending) {
+      this.#reserveBox();
+    }
+  }
+
+
+  /**
+   * Reflects the "type" attribute (explicit content-type of the slide)
+   */
+  #type;
+  get type() {
+    return this.#type;
+  }
+  set type(value) {
+    const oldValue = this.#type;
+    this.#type = value;
 
+    // Propagate the value to the HTML if change came from JS
+    if (this.getAttribute('type') !== value) {
+      this.setAttribute('type', value);
+    }
 
-/**
- * Whether PDF scripts are being or have been handled, and promise that they
- * are available.
- */
-let PDFScriptsHandled = false;
-let resolvePDFScriptsPromise;
-const PDFScriptsLoaded = new Promise((resolve, reject) => {
-  resolvePDFScriptsPromise = resolve;
-});
+    // Start loading the libraries that the format may need
+    findFormatByType(this.#type)?.load?.();
 
+    // Trigger a fetch-and-render cycle on next tick if value changed, unless
+    // that's already planned
+    if ((this.#type !== oldValue) && !this.#renderCyclePlanned) {
+      this.#renderCyclePlanned = true;
+      setTimeout(_ => this.#fetchAndRender(), 0);
+    }
+  }
 
-/**
- * The i-slide Web component
- */
-class ISlide extends HTMLElement {
   /**
-   * A fetch-and-render cycle has been scheduled to run during next tick
+   * Reflects the "cache" attribute (cache mode: "persistent" to store the
+   * slide deck in the persistent cache, "memory" not to, or not set to follow
+   * the global configuration). The mode applies the next time the slide deck
+   * gets fetched.
    */
-  #renderCyclePlanned = false;
+  #cache;
+  get cache() {
+    return this.#cache;
+  }
+  set cache(value) {
+    this.#cache = value;
+
+    // Propagate the value to the HTML if change came from JS
+    if (this.getAttribute('cache') !== (value ?? null)) {
+      if ((value === null) || (value === undefined)) {
+        this.removeAttribute('cache');
+      }
+      else {
+        this.setAttribute('cache', value);
+      }
+    }
+  }
 
   /**
-   * ID of the current fetch-and-render cycle (increment with each cycle)
+   * Reflects the "layout" attribute ("filmstrip", "grid" or "stack"), which
+   * sets the layout of the slides when the element renders several slides,
+   * e.g. with a "#3-7" fragment. Slides are rendered as a filmstrip by
+   * default. Setting a layout also applies when the element renders only one
+   * slide.
    */
-  #renderCycleID = 0;
+  #layout = null;
+  get layout() {
+    return this.#layout;
+  }
+  set layout(value) {
+    const oldValue = this.#layout;
+    this.#layout = ['filmstrip', 'grid', 'stack'].includes(value?.toLowerCase()) ?
+      value.toLowerCase() :
+      null;
+
+    // Propagate the value to the HTML if change came from JS
+    if (this.getAttribute('layout') !== (value ?? null)) {
+      if ((value === null) || (value === undefined)) {
+        this.removeAttribute('layout');
+      }
+      else {
+        this.setAttribute('layout', value);
+      }
+    }
+
+    // Trigger a fetch-and-render cycle on next tick if value changed, unless
+    // that's already planned
+    if ((this.#layout !== oldValue) && !this.#renderCyclePlanned) {
+      this.#renderCyclePlanned = true;
+      setTimeout(_ => this.#fetchAndRender(), 0);
+    }
+  }
+
 
   /**
-   * Promise always set, resolved when the #render function may run
-   * (used to prevent re-entrancy)
+   * Reflects the "controls" boolean attribute. When set, the element shows
+   * buttons to navigate to the previous and next slides, along with the
+   * current slide number, and arrow keys navigate through slides when the
+   * element has focus.
    */
-  #renderPossible = Promise.resolve();
+  #controls = false;
+  get controls() {
+    return this.#controls;
+  }
+  set controls(value) {
+    this.#controls = !!value;
+
+    // Propagate the value to the HTML if change came from JS
+    if (this.hasAttribute('controls') !== this.#controls) {
+      this.toggleAttribute('controls', this.#controls);
+    }
 
+    this.#updateControls();
+  }
 
   /**
-   * Reflects the "src" attribute (slide source)
+   * Controls element in the shadow tree, when controls are shown, and
+   * whether the element was made focusable because of controls
    */
-  #src = this.baseURI;
-  get src() {
-    return this.#src;
+  #controlsEl = null;
+  #controlsSetTabIndex = false;
+
+
+  /**
+   * Reflects the "fit" attribute, which takes precedence over the
+   * "object-fit" CSS property of the element ("contain", "cover", "fill",
+   * "none" or "scale-down")
+   */
+  #fit = null;
+  get fit() {
+    return this.#fit;
   }
-  set src(value) {
-    const oldValue = this.#src;
-    if (value) {
-      try {
-        this.#src = new URL(value, this.baseURI).href;
+  set fit(value) {
+    const oldValue = this.#fit;
+    this.#fit = value;
+
+    // Propagate the value to the HTML if change came from JS
+    if (this.getAttribute('fit') !== (value ?? null)) {
+      if ((value === null) || (value === undefined)) {
+        this.removeAttribute('fit');
       }
-      catch {
-        value = '';
-        this.#src = this.baseURI;
+      else {
+        this.setAttribute('fit', value);
       }
     }
-    else {
-      this.#src = this.baseURI;
+
+    // Rescale content accordingly, unless a render is already planned, or
+    // unless no fetch-and-render cycle has started yet
+    if ((this.#fit !== oldValue) && !this.#renderCyclePlanned &&
+        (this.#renderCycleID > 0)) {
+      this.#scaleContent();
+    }
+  }
+
+
+  /**
+   * Reflects the "position" attribute, which takes precedence over the
+   * "object-position" CSS property of the element
+   */
+  #position = null;
+  get position() {
+    return this.#position;
+  }
+  set position(value) {
+    const oldValue = this.#position;
+    this.#position = value;
+
+    // Propagate the value to the HTML if change came from JS
+    if (this.getAttribute('position') !== (value ?? null)) {
+      if ((value === null) || (value === undefined)) {
+        this.removeAttribute('position');
+      }
+      else {
+        this.setAttribute('position', value);
+      }
+    }
+
+    // Rescale content accordingly, unless a render is already planned, or
+    // unless no fetch-and-render cycle has started yet
+    if ((this.#position !== oldValue) && !this.#renderCyclePlanned &&
+        (this.#renderCycleID > 0)) {
+      this.#scaleContent();
     }
+  }
+
+
+  /**
+   * Reflects the "notes-position" attribute: where to render speaker notes,
+   * "hidden" (the default), "below" or "side" of each slide. Rendered notes
+   * are not scaled. (The "notes" property returns the text of the notes.)
+   */
+  #notesPosition = 'hidden';
+  get notesPosition() {
+    return this.#notesPosition;
+  }
+  set notesPosition(value) {
+    const oldValue = this.#notesPosition;
+    this.#notesPosition = ['below', 'side'].includes(value?.toLowerCase()) ?
+      value.toLowerCase() :
+      'hidden';
 
     // Propagate the value to the HTML if change came from JS
-    if (this.getAttribute('src') !== value) {
-      this.setAttribute('src', value);
+    if (this.getAttribute('notes-position') !== (value ?? null)) {
+      if ((value === null) || (value === undefined)) {
+        this.removeAttribute('notes-position');
+      }
+      else {
+        this.setAttribute('notes-position', value);
+      }
     }
 
     // Trigger a fetch-and-render cycle on next tick if value changed, unless
     // that's already planned
-    if ((this.#src !== oldValue) && !this.#renderCyclePlanned) {
+    if ((this.#notesPosition !== oldValue) && !this.#renderCyclePlanned) {
       this.#renderCyclePlanned = true;
       setTimeout(_ => this.#fetchAndRender(), 0);
     }
   }
 
+
   /**
-   * Reflects the "srcref" attribute (slide source)
+   * Text of the speaker notes of the rendered slide (of the first slide when
+   * the element renders several slides), null if there are none
    */
-  #srcref = "";
-  get srcref() {
-    return this.#src;
+  #slideNotes = null;
+  get notes() {
+    return this.#slideNotes;
   }
-  set srcref(value) {
-    const oldValue = this.#srcref;
-    if (value) {
-      const id = value.split("#")[0];
-      const el = document.getElementById(id);
-      if (el?.href) {
-        this.#srcref = value;
-        this.#loadPDFScripts();
-      } else {
-        value = '';
+
+
+  /**
+   * Reflects the "alt" attribute, which sets the accessible name of the
+   * element. The name is otherwise computed from the title of the slide (its
+   * first heading, or the structure tree, outline or text of PDF pages).
+   */
+  #alt = null;
+  get alt() {
+    return this.#alt;
+  }
+  set alt(value) {
+    this.#alt = value;
+
+    // Propagate the value to the HTML if change came from JS
+    if (this.getAttribute('alt') !== (value ?? null)) {
+      if ((value === null) || (value === undefined)) {
+        this.removeAttribute('alt');
+      }
+      else {
+        this.setAttribute('alt', value);
       }
     }
+
+    this.#updateAccessibility();
+  }
+
+
+  /**
+   * Reflects the "described-by-notes" boolean attribute. When set, the
+   * speaker notes of the slide become the accessible description of the
+   * element.
+   */
+  #describedByNotes = false;
+  get describedByNotes() {
+    return this.#describedByNotes;
+  }
+  set describedByNotes(value) {
+    this.#describedByNotes = !!value;
+
     // Propagate the value to the HTML if change came from JS
-    if (this.getAttribute('srcref') !== value) {
-      this.setAttribute('srcref', value);
+    if (this.hasAttribute('described-by-notes') !== this.#describedByNotes) {
+      this.toggleAttribute('described-by-notes', this.#describedByNotes);
+    }
+
+    this.#updateAccessibility();
+  }
+
+  /**
+   * ARIA attributes that the element set on itself (attributes that authors
+   * set take precedence), live region that announces slide changes, and
+   * reference of the last rendered slide
+   */
+  #ariaAttributes = {};
+  #liveEl = null;
+  #renderedSlideRef = null;
+
+
+  /**
+   * Reflects the "textlayer" attribute ("on" or "off"). PDF slides are
+   * rendered with a text layer that makes their text selectable and
+   * searchable, unless the attribute is set to "off".
+   */
+  #textlayer = 'on';
+  get textlayer() {
+    return this.#textlayer;
+  }
+  set textlayer(value) {
+    const oldValue = this.#textlayer;
+    this.#textlayer = (value?.toLowerCase() === 'off') ? 'off' : 'on';
+
+    // Propagate the value to the HTML if change came from JS
+    if (this.getAttribute('textlayer') !== (value ?? null)) {
+      if ((value === null) || (value === undefined)) {
+        this.removeAttribute('textlayer');
+      }
+      else {
+        this.setAttribute('textlayer', value);
+      }
     }
 
     // Trigger a fetch-and-render cycle on next tick if value changed, unless
     // that's already planned
-    if ((this.#srcref !== oldValue) && !this.#renderCyclePlanned) {
+    if ((this.#textlayer !== oldValue) && !this.#renderCyclePlanned) {
       this.#renderCyclePlanned = true;
       setTimeout(_ => this.#fetchAndRender(), 0);
     }
@@ -160,100 +3179,251 @@ class ISlide extends HTMLElement {
 
 
   /**
-   * Reflects the "width" attribute (width of the custom element)
+   * Reflects the "max-canvas-pixels" attribute (maximum number of pixels of
+   * the canvas of PDF slides, or null to use the default limit of PDF.js).
+   * Slides that would exceed the limit at the device pixel ratio get rendered
+   * at a lower resolution. With 0, PDF.js draws slides only once, at the
+   * resolution of PDF units, and zooms the result with CSS afterwards, so
+   * slides get blurry when they are scaled up.
    */
-  #width = defaultWidth;
-  get width() {
-    return this.#width;
+  #maxCanvasPixels = null;
+  get maxCanvasPixels() {
+    return this.#maxCanvasPixels;
   }
-  set width(value) {
-    value = '' + value;
-    const oldValue = this.#width;
-    try {
-      this.#width = parseInt(value, 10);
+  set maxCanvasPixels(value) {
+    const oldValue = this.#maxCanvasPixels;
+    const pixels = parseInt(value, 10);
+    this.#maxCanvasPixels = (pixels >= 0) ? pixels : null;
+
+    // Propagate the value to the HTML if change came from JS
+    if (this.getAttribute('max-canvas-pixels') !== (value ?? null)) {
+      if ((value === null) || (value === undefined)) {
+        this.removeAttribute('max-canvas-pixels');
+      }
+      else {
+        this.setAttribute('max-canvas-pixels', value);
+      }
     }
-    catch {
-      value = '';
-      this.#width = defaultWidth;
+
+    // Trigger a fetch-and-render cycle on next tick if value changed, unless
+    // that's already planned
+    if ((this.#maxCanvasPixels !== oldValue) && !this.#renderCyclePlanned) {
+      this.#renderCyclePlanned = true;
+      setTimeout(_ => this.#fetchAndRender(), 0);
     }
+  }
+
+
+  /**
+   * Reflects the "step" attribute (build step to render the slide at, from 0,
+   * or null to render the slide as authored). Takes precedence over a build
+   * step in the fragment of the slide URL, e.g. "#3.2". Ignored when the
+   * element renders several slides.
+   */
+  #step = null;
+  get step() {
+    return this.#step;
+  }
+  set step(value) {
+    const oldValue = this.#step;
+    const step = parseInt(value, 10);
+    this.#step = (step >= 0) ? step : null;
 
     // Propagate the value to the HTML if change came from JS
-    if (this.getAttribute('width') !== value) {
-      this.setAttribute('width', value);
+    if (this.getAttribute('step') !== (value ?? null)) {
+      if ((value === null) || (value === undefined)) {
+        this.removeAttribute('step');
+      }
+      else {
+        this.setAttribute('step', value);
+      }
     }
 
-    // Changing the width should trigger a rescale of the content, unless
-    // a render is already planned, or unless a fetch is needed (in other words
-    // unless no fetch-and-render cycle has started yet)
-    if ((this.#width !== oldValue) && !this.#renderCyclePlanned &&
-        (this.#renderCycleID > 0)) {
-      this.#scaleContent({ width: this.#width });
+    // Trigger a fetch-and-render cycle on next tick if value changed, unless
+    // that's already planned
+    if ((this.#step !== oldValue) && !this.#renderCyclePlanned) {
+      this.#renderCyclePlanned = true;
+      setTimeout(_ => this.#fetchAndRender(), 0);
     }
   }
 
 
   /**
-   * Reflects the "height" attribute (height of the custom element)
+   * Reflects the "poster" attribute (URL of an image to show until the slide
+   * is rendered). Returns the absolute URL, or an empty string.
    */
-  #height = null;
-  get height() {
-    return this.#height;
+  #poster = '';
+  get poster() {
+    return this.#poster;
   }
-  set height(value) {
-    value = '' + value;
-    const oldValue = this.#height;
-    try {
-      this.#height = parseInt(value, 10);
+  set poster(value) {
+    this.#poster = '';
+    if (value) {
+      try {
+        this.#poster = new URL(value, this.baseURI).href;
+      }
+      catch {}
     }
-    catch {
-      value = '';
-      this.#height = null;
+
+    // Propagate the value to the HTML if change came from JS
+    if (this.getAttribute('poster') !== (value ?? null)) {
+      if ((value === null) || (value === undefined)) {
+        this.removeAttribute('poster');
+      }
+      else {
+        this.setAttribute('poster', value);
+      }
+    }
+
+    // Update the placeholder if it is shown
+    if (this.#placeholderEl) {
+      this.#hidePlaceholder();
+      this.#showPlaceholder();
     }
+  }
+
+  /**
+   * Placeholder element in the shadow tree, shown on top of the slide until
+   * it is rendered
+   */
+  #placeholderEl = null;
+
+
+  /**
+   * Reflects the "fallback" attribute, which tells what the element renders
+   * when the slide cannot be rendered: "content" (the default) renders the
+   * content of the element, or a link to the slide if the element is empty,
+   * "link" renders a link to the slide, and "none" renders nothing.
+   */
+  #fallback = 'content';
+  get fallback() {
+    return this.#fallback;
+  }
+  set fallback(value) {
+    const oldValue = this.#fallback;
+    this.#fallback = ['link', 'none'].includes(value?.toLowerCase()) ?
+      value.toLowerCase() :
+      'content';
 
     // Propagate the value to the HTML if change came from JS
-    if (this.getAttribute('height') !== value) {
-      this.setAttribute('height', value);
+    if (this.getAttribute('fallback') !== (value ?? null)) {
+      if ((value === null) || (value === undefined)) {
+        this.removeAttribute('fallback');
+      }
+      else {
+        this.setAttribute('fallback', value);
+      }
+    }
+
+    // Render the fallback again if value changed and the slide could not be
+    // rendered, unless that's already planned
+    if ((this.#fallback !== oldValue) && this.#error &&
+        !this.#renderCyclePlanned) {
+      this.#renderCyclePlanned = true;
+      setTimeout(_ => this.#fetchAndRender(), 0);
     }
+  }
+
+
+  /**
+   * Information about the slide deck (see ISlide.getDeckInfo()), null until
+   * known. A "deckload" event fires when it becomes available.
+   */
+  #deck = null;
+  #deckKey = null;
+  get deck() {
+    return this.#deck;
+  }
 
-    // Changing the height should trigger a rescale of the content, unless
-    // a render is already planned, or unless a fetch is needed (in other words
-    // unless no fetch-and-render cycle has started yet)
-    if ((this.#height !== oldValue) && !this.#renderCyclePlanned &&
-        (this.#renderCycleID > 0)) {
-      this.#scaleContent({ height: this.#height });
+
+  /**
+   * Why the slide could not be rendered, null if the slide was rendered. An
+   * object with a "reason" property ("network", "cors", "http-status",
+   * "unsupported-format", "<format>-parse" such as "pdf-parse",
+   * "slide-not-found" or "render"), a "message" property and, for
+   * "http-status" errors, a "status" property. Also reflected in an "error"
+   * attribute set to the reason, to style the element.
+   */
+  #error = null;
+  get error() {
+    return this.#error;
+  }
+  #setError(err) {
+    this.#error = err ?
+      Object.freeze(Object.assign(
+        { reason: err.reason ?? 'render', message: err.message },
+        err.status ? { status: err.status } : {})) :
+      null;
+    if (this.#error) {
+      this.setAttribute('error', this.#error.reason);
+    }
+    else {
+      this.removeAttribute('error');
     }
   }
 
 
   /**
-   * Reflects the "type" attribute (explicit content-type of the slide)
+   * Reflects the "loading" attribute ("lazy" or "eager"). With "lazy", the
+   * slide deck only gets fetched and rendered when the element comes close to
+   * the viewport, as for <img> elements.
    */
-  #type;
-  get type() {
-    return this.#type;
+  #loading = 'eager';
+  get loading() {
+    return this.#loading;
   }
-  set type(value) {
-    const oldValue = this.#type;
-    this.#type = value;
+  set loading(value) {
+    const oldValue = this.#loading;
+    this.#loading = (value?.toLowerCase() === 'lazy') ? 'lazy' : 'eager';
 
     // Propagate the value to the HTML if change came from JS
-    if (this.getAttribute('type') !== value) {
-      this.setAttribute('type', value);
+    if (this.getAttribute('loading') !== (value ?? null)) {
+      if ((value === null) || (value === undefined)) {
+        this.removeAttribute('loading');
+      }
+      else {
+        this.setAttribute('loading', value);
+      }
     }
 
-    // Start loading PDF scripts if needed
-    if (this.#type === 'application/pdf') {
-      this.#loadPDFScripts();
+    if (this.#loading === oldValue) {
+      return;
     }
-
-    // Trigger a fetch-and-render cycle on next tick if value changed, unless
-    // that's already planned
-    if ((this.#type !== oldValue) && !this.#renderCyclePlanned) {
-      this.#renderCyclePlanned = true;
-      setTimeout(_ => this.#fetchAndRender(), 0);
+    if (this.#loading === 'lazy') {
+      // Track the distance to the viewport
+      this.#lazyObserver = new IntersectionObserver(entries => {
+        this.#nearViewport = entries[entries.length - 1].isIntersecting;
+        if (this.#nearViewport && this.#lazyCyclePending &&
+            !this.#renderCyclePlanned) {
+          this.#renderCyclePlanned = true;
+          setTimeout(_ => this.#fetchAndRender(), 0);
+        }
+      }, { rootMargin: config.loading.rootMargin });
+      this.#lazyObserver.observe(this);
+    }
+    else {
+      this.#lazyObserver.disconnect();
+      this.#lazyObserver = null;
+      this.#nearViewport = false;
+
+      // Run the fetch-and-render cycle that may have been deferred
+      if (this.#lazyCyclePending && !this.#renderCyclePlanned) {
+        this.#renderCyclePlanned = true;
+        setTimeout(_ => this.#fetchAndRender(), 0);
+      }
     }
   }
 
+  /**
+   * Lazy loading: observer of the intersection of the element with the
+   * viewport (extended with the root margin), whether the element is close to
+   * the viewport, and whether a fetch-and-render cycle is waiting for the
+   * element to come close to the viewport
+   */
+  #lazyObserver = null;
+  #nearViewport = false;
+  #lazyCyclePending = false;
+
   /**
    * Intrinsic slide dimensions (before any scaling gets applied)
    */
@@ -277,32 +3447,417 @@ class ISlide extends HTMLElement {
   #slideTargetHeight;
 
   /**
-   * Current slide number (result of parsing the fragment part of the src URL)
+   * Device pixel ratio when the slide was last scaled (PDF slides need to be
+   * rendered again when it changes, e.g. when the window moves to another
+   * screen or when the user zooms in)
+   */
+  #slidePixelRatio;
+
+  /**
+   * Last box dimensions, object-fit and object-position used to place the
+   * slide in its box
+   */
+  #slidePlacement;
+
+  /**
+   * Current slide number (result of parsing the fragment part of the src URL),
+   * first slide number when the element renders several slides
    */
   #slideNumber;
+  #slideNumbers = [];
 
   /**
-   * Effective root element that contains the slide
+   * Effective root element that contains the slide, or the slides
    * (used to apply rescaling)
    */
   #slideEl;
 
+  /**
+   * Layout of the slides when the element renders several slides (or renders
+   * speaker notes), null when the element renders one slide. Where speaker
+   * notes are rendered, null when they are not.
+   */
+  #slideLayout;
+  #slideNotesPosition;
+
   /**
    * Link to the <style> element that contains :host styles
    */
   #hostStyleEl;
 
   /**
-   * Reference to the current PDF page if current slide is from a PDF document
+   * Format adapter of the current slide, and views that the adapter returned
+   * when it rendered the slides
    */
-  #pdfPage;
+  #slideFormat;
+  #slideViews = [];
+
+  /**
+   * Key of the slide deck in the cache that the element uses, if connected
+   */
+  #cacheRef = null;
 
   loaded;
 
   /**
    * Observe changes on "src" and "width" attributes.
    */
-  static get observedAttributes() { return ['src', 'srcref', 'width', 'height', 'type']; }
+  static get observedAttributes() {
+    return [
+      'src', 'srcref', 'width', 'height', 'type', 'cache', 'loading',
+      'layout', 'controls', 'fit', 'position', 'fallback', 'poster',
+      'notes-position', 'textlayer', 'alt', 'described-by-notes', 'step',
+      'max-canvas-pixels',
+      // Changes may affect the "object-fit" and "object-position" properties
+      'class', 'style'
+    ];
+  }
+
+
+  /**
+   * Register a slide format adapter, to render slide decks in formats that
+   * the component does not support natively. Formats registered last take
+   * precedence. Registering a format with the name of an existing format
+   * replaces that format.
+   *
+   * A format adapter is an object with the following properties:
+   * - "name": unique name of the format.
+   * - "mimeTypes": optional list of MIME types that the format handles.
+   * - "load()": optional function that starts loading the libraries that the
+   * format needs. Called as soon as a slide deck in that format is expected.
+   * - "detect(source)": return true when the adapter can handle the given
+   * deck source. See createDeckSource() for the properties of the source.
+   * - "streaming": optional boolean, true when "parse" can load the slide
+   * deck from the "url" of the source when the source has no "bytes". Slide
+   * decks in that format that are served with one of its "mimeTypes" (or
+   * that have the explicit type of the element) are then not downloaded
+   * upfront.
+   * - "parse(source)": parse the deck source and return (a promise for) an
+   * object that gets stored in the cache. All other functions receive that
+   * object as "entry".
+   * - "countSlides(entry)": return the number of slides in the deck.
+   * - "findSlide(entry, fragment)": return the number of the slide that the
+   * fragment targets (starting at 1), or null if there is no such slide.
+   * - "render(entry, slideNumber, context)": render the slide in the shadow
+   * tree and return (a promise for) a view object. The context has a "root"
+   * property (the shadow root to render the slide in, or a container element in
+   * the shadow tree when the element renders several slides), a "hostStyleEl"
+   * property (the <style> element that must be appended somewhere in the shadow
+   * tree), "width" and "height" properties (the initial dimensions of the
+   * element), a "textLayer" property (false when the text of the slide does not
+   * need to be selectable, see the "textlayer" attribute), a
+   * "measure(slideEl, stylesLoaded)" function that records the dimensions of
+   * the slide element in the cache entry once the stylesLoaded promise
+   * resolves, once per slide deck, a "step" property (the build step to render
+   * the slide at, or null to render the slide as authored, see the "step"
+   * attribute), a "maxCanvasPixels" property (the maximum number of pixels of
+   * canvases that render the slide, or null for no specific limit), and a
+   * "navigate(slideNumber)" function that makes the element render another
+   * slide of the deck (e.g. when the user follows a link). The view object must
+   * have a "slideEl" property (the root element of the rendered slide), and
+   * "width" and "height" properties (the intrinsic dimensions of the slide).
+   * - "scale(view, scale)": scale the rendered slide by the given factor.
+   * - "print(view, pixelRatio)": optional function that renders the slide
+   * ahead of time at the given pixel ratio, in content that only shows when
+   * the document is printed (elements with an "i-slide-print-only" class),
+   * and returns (a promise for) a function that removes that content, or
+   * null. Called once the browser is idle after the
+   * slide got scaled. Not needed for formats that render vector content.
+   * - "capture(view, size)": optional function that draws the rendered slide
+   * on a canvas with the "width" and "height" of the given size, and returns
+   * (a promise for) the canvas. See toBlob().
+   * - "getInfo(entry)": optional function that returns (a promise for) an
+   * object with the "title" of the slide deck and a list of "slides" with
+   * their "id", "title" and number of build "steps" (see
+   * ISlide.getDeckInfo()).
+   * - "getNotes(entry, slideNumber)": optional function that returns (a
+   * promise for) a DocumentFragment with the speaker notes of the slide, or
+   * null if the slide has no notes.
+   * - "destroy(entry)": optional function that releases the resources that
+   * "parse" allocated, called when the slide deck gets evicted from the cache.
+   */
+  static registerFormat(format) {
+    registerFormat(format);
+  }
+
+
+  /**
+   * Configure the component. Options are:
+   * - "pdfjs": where to load PDF.js from. Either the base URL of a PDF.js
+   * distribution (the "legacy" folder of the pdfjs-dist package), or an object
+   * with the following optional properties:
+   *   - "base": the base URL of a PDF.js distribution
+   *   - "lib": URL of the PDF.js library, or the already imported module
+   *   - "viewer": URL of the PDF.js viewer library, or the already imported
+   *   module
+   *   - "worker": URL of the PDF.js worker, or a Worker instance. When "lib" is
+   *   a module object, the worker is assumed to be configured already unless
+   *   this property is set.
+   *   - "css": URL of the PDF.js viewer stylesheet, or a CSSStyleSheet, or null
+   *   to skip the stylesheet
+   * Relative URLs are resolved against the base URL of the document. PDF.js
+   * must be configured before any PDF slide gets rendered.
+   * - "cache": limits of the cache of slide decks, an object with the
+   * following optional properties:
+   *   - "maxDecks": maximum number of slide decks (20 by default)
+   *   - "maxBytes": maximum size of the slide decks in bytes (100MB by
+   *   default), computed from the size of the raw slide decks.
+   *   - "persistent": whether to store slide decks in the persistent cache
+   *   (false by default), see the "cache" attribute.
+   * Least recently used slide decks get evicted first. Slide decks that
+   * connected elements use are never evicted. Use Infinity (or null) to lift
+   * a limit.
+   * - "loading": settings of lazy loading, an object with a "rootMargin"
+   * property that sets how close to the viewport lazy elements need to be to
+   * get rendered, using the syntax of CSS margins ("500px" by default). The
+   * root margin applies to elements that become lazy afterwards.
+   * - "print": settings of print rendering, an object with a "resolution"
+   * property that sets the resolution at which slides get rendered for
+   * printing, in dots per inch (150 by default). Slides are not rendered
+   * below the device pixel ratio of the screen.
+   */
+  static configure(options) {
+    configure(options);
+  }
+
+
+  /**
+   * Wait until connected elements are rendered, at print resolution, and
+   * print the document. Slides get rendered for printing ahead of time, but
+   * lazy elements and slides that were just scaled may not be ready yet.
+   * Browsers do not wait for asynchronous rendering when the user prints the
+   * document directly, calling this function instead of window.print()
+   * ensures that the printed slides are sharp and not blank.
+   */
+  static async print() {
+    ISlide.#listenToWindow();
+    await ISlide.#preparePrintAll();
+    window.print();
+  }
+
+
+  /**
+   * Connected elements, prepared for printing when the document gets
+   * printed. Whether print events are being listened to, and promise resolved
+   * when the elements are ready to be printed, while printing.
+   */
+  static #connectedElements = new Set();
+  static #windowListening = false;
+  static #printing = null;
+
+
+  /**
+   * Listen to print events and to changes of the device pixel ratio, once the
+   * first element gets connected (the module does not have side effects until
+   * then)
+   */
+  static #listenToWindow() {
+    if (ISlide.#windowListening) {
+      return;
+    }
+    ISlide.#windowListening = true;
+    ISlide.#listenToPixelRatio();
+    window.addEventListener('beforeprint', _ => ISlide.#preparePrintAll());
+    window.addEventListener('afterprint', _ => ISlide.#printing = null);
+    window.matchMedia?.('print').addEventListener('change', evt => {
+      if (evt.matches) {
+        ISlide.#preparePrintAll();
+      }
+      else {
+        ISlide.#printing = null;
+      }
+    });
+  }
+
+
+  /**
+   * Scale connected elements again when the device pixel ratio changes. The
+   * media query only matches the current ratio, a new one is needed after
+   * each change.
+   */
+  static #listenToPixelRatio() {
+    const query = `(resolution: ${window.devicePixelRatio || 1}dppx)`;
+    window.matchMedia?.(query).addEventListener('change', _ => {
+      for (const el of ISlide.#connectedElements) {
+        if (!el.#renderCyclePlanned && (el.#renderCycleID > 0)) {
+          el.#scaleContent();
+        }
+      }
+      ISlide.#listenToPixelRatio();
+    }, { once: true });
+  }
+
+
+  /**
+   * Prepare connected elements for printing (once, whichever event fires
+   * first), and return a promise resolved when they are ready
+   */
+  static #preparePrintAll() {
+    if (!ISlide.#printing) {
+      ISlide.#printing = Promise.all([...ISlide.#connectedElements]
+        .map(el => el.#preparePrint().catch(_ => {})));
+    }
+    return ISlide.#printing;
+  }
+
+
+
+  /**
+   * Public API of the cache of slide decks. Methods take a slide deck URL
+   * (resolved against the base URL of the document, the fragment is ignored)
+   * or a File, Blob or ArrayBuffer object set through "srcObject":
+   * - "get(src)": return the parsed slide deck (the object that the "parse"
+   * function of the format adapter returned, along with "type", "format" and
+   * "size" properties), or undefined.
+   * - "has(src)": return true if the cache contains the slide deck.
+   * - "delete(src)": evict the slide deck from the cache, and return true if
+   * the cache contained it. Elements that use the slide deck fetch it again.
+   * - "clear()": evict all slide decks from the cache.
+   */
+  static cache = Object.freeze({
+    get(src) {
+      const key = getPublicCacheKey(src);
+      return key ? touchCacheEntry(key) : undefined;
+    },
+
+    has(src) {
+      return cache.has(getPublicCacheKey(src));
+    },
+
+    delete(src) {
+      return ISlide.#evict(getPublicCacheKey(src));
+    },
+
+    clear() {
+      for (const key of [...cache.keys()]) {
+        ISlide.#evict(key);
+      }
+    }
+  });
+
+
+  /**
+   * Evict the slide deck with the given key from the cache, and have the
+   * elements that use it fetch it again
+   */
+  static #evict(key) {
+    if (!deleteCacheEntry(key)) {
+      return false;
+    }
+    for (const el of cacheUsers.get(key) ?? []) {
+      if (!el.#renderCyclePlanned) {
+        el.#renderCyclePlanned = true;
+        setTimeout(_ => el.#fetchAndRender(), 0);
+      }
+    }
+    return true;
+  }
+
+
+  /**
+   * Fetch and parse the slide deck at the given URL (or the given File, Blob
+   * or ArrayBuffer object) and store it in the cache, so that elements that
+   * reference it later on render right away. Options may set the "type" of
+   * the slide deck, and the "cache" mode ("persistent" or "memory", see the
+   * "cache" attribute). The promise rejects if the slide deck cannot be
+   * loaded, with an error that has a "reason" property (see the "error"
+   * property of the element).
+   */
+  static async preload(src, options) {
+    await ISlide.#loadDeck(src, options);
+  }
+
+
+  /**
+   * Return a promise for information about the slide deck at the given URL
+   * (or in the given File, Blob or ArrayBuffer object), fetching it first if
+   * needed, with the same options as ISlide.preload(). The information is an
+   * object with the following properties:
+   * - "title": the title of the slide deck, or null.
+   * - "slideCount": the number of slides.
+   * - "slides": the list of slides, each with a "number" (starting at 1), an
+   * "id" (the fragment that targets the slide, or null) and a "title" (the
+   * first heading of HTML slides, or the title that the structure tree, the
+   * outline, the page label or the text of PDF pages give, or null), and the
+   * number of build "steps" of the slide (always 0 for PDF slides).
+   */
+  static async getDeckInfo(src, options) {
+    return getDeckInfo(await ISlide.#loadDeck(src, options));
+  }
+
+
+  /**
+   * Return a promise for a Blob with an image of the given slide (a slide
+   * number, or a fragment such as "intro" or "3.2") of the slide deck at the
+   * given URL (or in the given File, Blob or ArrayBuffer object). Targets the
+   * first slide if no slide is given. Options may set the "imageType" (PNG by
+   * default), "width", "height" and "quality" of the image (see toBlob()),
+   * along with the options of ISlide.preload(). The slide gets rendered in a
+   * hidden element, which requires the class to be registered as a custom
+   * element. The promise rejects with the error of the element when the slide
+   * cannot be rendered, or with the errors of toBlob().
+   */
+  static async capture(src, slide, options = {}) {
+    const el = new ISlide();
+    el.style.cssText = 'position: fixed; top: 0; left: -10000px; visibility: hidden';
+    if (options.type) {
+      el.type = options.type;
+    }
+    if (options.cache) {
+      el.cache = options.cache;
+    }
+    if ((src instanceof Blob) || (src instanceof ArrayBuffer)) {
+      el.srcObject = src;
+      el.src = `#${slide ?? 1}`;
+    }
+    else {
+      el.src = (slide === undefined) ? src : `${src.split('#')[0]}#${slide}`;
+    }
+
+    const rendered = new Promise(resolve => {
+      el.addEventListener('load', resolve, { once: true });
+      el.addEventListener('error', resolve, { once: true });
+    });
+    document.body.append(el);
+    try {
+      await rendered;
+      if (el.error) {
+        throw createSlideError(el.error.reason, el.error.message,
+          { status: el.error.status });
+      }
+      return await el.toBlob(options.imageType, options);
+    }
+    finally {
+      el.remove();
+    }
+  }
+
+
+  /**
+   * Fetch and parse the slide deck at the given URL (or the given File, Blob
+   * or ArrayBuffer object) if needed, and return its cache entry. Throws if
+   * the slide deck cannot be loaded.
+   */
+  static async #loadDeck(src, options) {
+    const type = options?.type;
+    let entry;
+    if ((src instanceof Blob) || (src instanceof ArrayBuffer)) {
+      entry = await fetchDeck(getSrcObjectKey(src), _ =>
+        readSrcObject(src, type, document.baseURI));
+    }
+    else {
+      const url = getPublicCacheKey(src);
+      const persistent = isPersistent(options?.cache);
+      entry = await fetchDeck(url, _ => fetchSource(url, type, persistent));
+      if (persistent) {
+        await restorePersistentDimensions(url, entry);
+      }
+    }
+    if (entry?.type === 'error') {
+      throw createSlideError(entry.reason, entry.message, { cause: entry.err });
+    }
+    return entry;
+  }
 
 
   /**
@@ -328,9 +3883,337 @@ class ISlide extends HTMLElement {
           height: entries[0].contentRect.height
         });
       }
-    });
+    });
+
+    resizeObserver.observe(this);
+
+    // Navigate with the keyboard when controls are shown
+    this.addEventListener('keydown', evt => {
+      if (!this.#controls || evt.altKey || evt.ctrlKey || evt.metaKey) {
+        return;
+      }
+      switch (evt.key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+        case 'PageDown':
+          this.next();
+          break;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+        case 'PageUp':
+          this.prev();
+          break;
+        case 'Home':
+          this.goTo(1);
+          break;
+        case 'End':
+          this.goTo(Infinity);
+          break;
+        default:
+          return;
+      }
+      evt.preventDefault();
+    });
+  }
+
+
+  /**
+   * Number of the slide that the element renders (or is about to render),
+   * starting at 1, or null if not known yet. Setting the property navigates to
+   * the given slide, see goTo().
+   */
+  get slideNumber() {
+    const cacheEntry = cache.get(this.#cacheKey);
+    if (cacheEntry && (cacheEntry.type !== 'error')) {
+      const { fragment } = splitStepFragment(cacheEntry, this.#slideId ?? '');
+      return findSlides(cacheEntry, fragment)?.[0] ?? null;
+    }
+    return this.#slideNumber ?? null;
+  }
+  set slideNumber(value) {
+    this.goTo(value);
+  }
+
+
+  /**
+   * Navigate to the next slide in the slide deck
+   */
+  next() {
+    this.goTo((this.slideNumber ?? 0) + 1);
+  }
+
+
+  /**
+   * Navigate to the previous slide in the slide deck
+   */
+  prev() {
+    this.goTo((this.slideNumber ?? 2) - 1);
+  }
+
+
+  /**
+   * Navigate to the given slide number (starting at 1) in the slide deck.
+   * The number is clamped to the number of slides in the deck when the deck
+   * is known. The slide deck is not fetched again. The fragment of the "src"
+   * attribute (or "srcref" attribute) gets updated accordingly.
+   */
+  goTo(slideNumber) {
+    const cacheEntry = cache.get(this.#cacheKey);
+    const count = (cacheEntry && (cacheEntry.type !== 'error')) ?
+      cacheEntry.format.countSlides(cacheEntry) :
+      Infinity;
+    slideNumber = Math.max(1, Math.min(count, Math.floor(slideNumber) || 1));
+
+    const [url, fragment] = (this.#srcref || this.#src).split('#');
+    const prefix = fragment?.startsWith('page=') ? 'page=' : '';
+    const value = `${url}#${prefix}${slideNumber}`;
+    if (this.#srcref) {
+      this.srcref = value;
+    }
+    else {
+      this.src = value;
+    }
+  }
+
+
+  /**
+   * Return a promise for a Blob with an image of the rendered slide (of the
+   * first slide when the element renders several slides), in the given image
+   * format (PNG by default). Options may set the "width" and "height" of the
+   * image (the intrinsic dimensions of the slide by default, or dimensions
+   * that preserve the aspect ratio of the slide when only one is set) and the
+   * "quality" of lossy image formats. The promise rejects with an error that
+   * has a "reason" property: "not-rendered" when no slide is rendered,
+   * "unsupported-format" when the format adapter cannot capture slides, and
+   * "capture" when the image cannot be drawn or encoded.
+   */
+  async toBlob(type = 'image/png', options) {
+    const canvas = await this.#capture(options);
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => blob ?
+        resolve(blob) :
+        reject(createSlideError('capture', 'Could not encode the image of the slide')),
+        type, options?.quality);
+    });
+  }
+
+
+  /**
+   * Return a promise for a data: URL with an image of the rendered slide, with
+   * the same parameters and errors as toBlob()
+   */
+  async toDataURL(type = 'image/png', options) {
+    const canvas = await this.#capture(options);
+    return canvas.toDataURL(type, options?.quality);
+  }
+
+
+  /**
+   * Functions that remove the print rendering of the slides, ID of the last
+   * planned print rendering, function that starts it without waiting for the
+   * browser to be idle, promise resolved when it is over, and pixel ratio it
+   * uses.
+   */
+  #printRemoves = [];
+  #printRenderID = 0;
+  #printRenderStart = null;
+  #printRendered = Promise.resolve();
+  #printPixelRatio = null;
+
+
+  /**
+   * Plan to render the slides at print resolution, through the "print"
+   * function of the format adapter, once the browser is idle. Browsers take
+   * a snapshot of the page as soon as the document gets printed, the print
+   * rendering needs to exist by then.
+   */
+  #planPrintRender() {
+    if (!this.#slideFormat?.print) {
+      return;
+    }
+    const id = ++this.#printRenderID;
+    let start;
+    const started = new Promise(resolve => start = resolve);
+    this.#printRenderStart = start;
+    this.#printRendered = started
+      .then(_ => this.#renderForPrint(id))
+      .catch(_ => {});
+    whenIdle(start);
+  }
+
+
+  /**
+   * Render the slides at print resolution, unless another print rendering
+   * got planned in the meantime, and replace the previous print rendering
+   */
+  async #renderForPrint(id) {
+    await this.#renderPossible;
+    const format = this.#slideFormat;
+    if ((id !== this.#printRenderID) || !format?.print) {
+      return;
+    }
+    const pixelRatio = getPrintPixelRatio();
+    const removes = (await Promise.all(this.#slideViews.map(view =>
+      format.print(view, pixelRatio)))).filter(remove => remove);
+    if (id !== this.#printRenderID) {
+      removes.forEach(remove => remove());
+      return;
+    }
+    this.#removePrintRendering();
+    this.#printRemoves = removes;
+    this.#printPixelRatio = pixelRatio;
+  }
+
+
+  /**
+   * Remove the print rendering of the slides
+   */
+  #removePrintRendering() {
+    for (const remove of this.#printRemoves.splice(0)) {
+      remove();
+    }
+  }
+
+
+  /**
+   * Make sure that the slides are rendered at print resolution, without
+   * waiting for the browser to be idle. Lazy elements that are still waiting
+   * to be rendered get rendered first, so that they do not print blank.
+   */
+  async #preparePrint() {
+    if (this.#lazyCyclePending && !this.#renderCyclePlanned) {
+      const rendered = new Promise(resolve => {
+        this.addEventListener('load', resolve, { once: true });
+        this.addEventListener('error', resolve, { once: true });
+      });
+      this.#renderCyclePlanned = true;
+      setTimeout(_ => this.#fetchAndRender(), 0);
+      await rendered;
+    }
+    await this.#renderPossible;
+
+    // The print resolution may have changed since the last print rendering
+    if (this.#printPixelRatio &&
+        (this.#printPixelRatio !== getPrintPixelRatio())) {
+      this.#planPrintRender();
+    }
+    this.#printRenderStart?.();
+    await this.#printRendered;
+  }
+
+
+  /**
+   * Draw the rendered slide on a canvas, through the "capture" function of
+   * the format adapter, and return the canvas
+   */
+  async #capture(options) {
+    // Wait until the current render operation, if any, is over
+    await this.#renderPossible;
+    const view = this.#slideViews[0];
+    if (!view) {
+      throw createSlideError('not-rendered', 'No slide rendered yet');
+    }
+    if (!this.#slideFormat.capture) {
+      throw createSlideError('unsupported-format',
+        `Slides in the ${this.#slideFormat.name} format cannot be captured`);
+    }
+    try {
+      return await this.#slideFormat.capture(view,
+        getCaptureSize(view, options));
+    }
+    catch (err) {
+      throw err.reason ? err :
+        createSlideError('capture', err.message, { cause: err });
+    }
+  }
+
+
+  /**
+   * Create, update or remove the controls, depending on the "controls"
+   * attribute and on the current slide
+   */
+  #updateControls() {
+    if (!this.#controls) {
+      this.#controlsEl?.remove();
+      this.#controlsEl = null;
+      if (this.#controlsSetTabIndex) {
+        this.removeAttribute('tabindex');
+        this.#controlsSetTabIndex = false;
+      }
+      return;
+    }
+
+    if (!this.#controlsEl) {
+      this.#controlsEl = document.createElement('div');
+      this.#controlsEl.setAttribute('part', 'controls');
+      this.#controlsEl.innerHTML = `
+        <style>
+          :host {
+            position: relative;
+          }
+          [part~=controls] {
+            position: absolute;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            z-index: 1;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            gap: 0.5em;
+            padding: 0.25em;
+            background: rgba(0, 0, 0, 0.6);
+            color: white;
+            font: 14px/1.5 sans-serif;
+            opacity: 0;
+            transition: opacity 0.2s;
+          }
+          :host(:hover) [part~=controls],
+          :host(:focus-within) [part~=controls] {
+            opacity: 1;
+          }
+          [part~=controls] button {
+            margin: 0;
+            padding: 0 0.5em;
+            border: none;
+            background: none;
+            color: inherit;
+            font: inherit;
+            cursor: pointer;
+          }
+          [part~=controls] button[aria-disabled=true] {
+            opacity: 0.4;
+            cursor: default;
+          }
+        </style>
+        <button type="button" part="prev" aria-label="Previous slide">&#x2039;</button>
+        <span part="indicator"></span>
+        <button type="button" part="next" aria-label="Next slide">&#x203A;</button>`;
+      this.#controlsEl.querySelector('[part=prev]')
+        .addEventListener('click', _ => this.prev());
+      this.#controlsEl.querySelector('[part=next]')
+        .addEventListener('click', _ => this.next());
+      this.shadowRoot.append(this.#controlsEl);
+
+      // Make the element focusable so that arrow keys work
+      if (!this.hasAttribute('tabindex')) {
+        this.setAttribute('tabindex', '0');
+        this.#controlsSetTabIndex = true;
+      }
+    }
 
-    resizeObserver.observe(this);
+    // Note buttons are not disabled when the first or last slide is reached,
+    // because disabled buttons lose focus
+    const cacheEntry = cache.get(this.#cacheKey);
+    const count = (this.#slideNumber && cacheEntry && (cacheEntry.type !== 'error')) ?
+      cacheEntry.format.countSlides(cacheEntry) :
+      0;
+    this.#controlsEl.querySelector('[part=indicator]').textContent =
+      count ? `${this.#slideNumber} / ${count}` : '';
+    this.#controlsEl.querySelector('[part=prev]').setAttribute('aria-disabled',
+      !count || (this.#slideNumber <= 1));
+    this.#controlsEl.querySelector('[part=next]').setAttribute('aria-disabled',
+      !count || (this.#slideNumber >= count));
   }
 
 
@@ -338,14 +4221,35 @@ class ISlide extends HTMLElement {
    * Run a new fetch-and-render cycle
    */
   async #fetchAndRender() {
+    // Lazy elements wait until they come close to the viewport
+    if ((this.#loading === 'lazy') && !this.#nearViewport && !ISlide.#printing) {
+      this.#renderCyclePlanned = false;
+      this.#lazyCyclePending = true;
+      this.#reserveBox();
+      return;
+    }
+    this.#lazyCyclePending = false;
+
+    // Show a placeholder until the slide is rendered, unless the element
+    // already renders a slide of the same slide deck, in which case the slide
+    // only gets replaced
+    if (!this.loaded || !cache.has(this.#cacheKey)) {
+      this.#reserveBox();
+      this.#showPlaceholder();
+    }
+
     const cycleId = ++this.#renderCycleID;
 
     // Cycle is no longer pending, we're handling it
     this.#renderCyclePlanned = false;
 
+    // Prevent the slide deck from being evicted from the cache
+    this.#updateCacheRef();
+
     // Tell assistive technology that we're starting a cycle that will update
     // the contents of the shadow tree
     this.setAttribute('aria-busy', true);
+    this.#setError(null);
 
     // Load slides
     await this.#fetch();
@@ -357,6 +4261,9 @@ class ISlide extends HTMLElement {
       return;
     }
 
+    // Expose information about the slide deck without waiting for it
+    this.#updateDeck();
+
     // Render the requested slide
     await this.#render();
 
@@ -370,140 +4277,343 @@ class ISlide extends HTMLElement {
     // Done with fetch-and-render cycle and no further cycle needed, tell the
     // world about it.
     this.setAttribute('aria-busy', false);
-    this.loaded = true;
-    this.dispatchEvent(new Event('load'));
+    this.#hidePlaceholder();
+    this.#updateAccessibility();
+
+    // Announce slide changes, e.g. when the user navigates through slides
+    const slideRef = `${this.#cacheKey}#${this.#slideId}`;
+    if (!this.#error && this.#renderedSlideRef &&
+        (this.#renderedSlideRef !== slideRef)) {
+      this.#announce(this.#getSlideName());
+    }
+    this.#renderedSlideRef = this.#error ? null : slideRef;
+
+    this.loaded = !this.#error;
+    if (this.#error) {
+      this.dispatchEvent(new CustomEvent('error', { detail: this.#error }));
+    }
+    else {
+      this.dispatchEvent(new Event('load'));
+    }
   }
 
 
   /**
-   * Retrieve the slide deck at the given src URL and populate the cache.
+   * Compute information about the slide deck if the element now uses another
+   * slide deck, and fire a "deckload" event once it is available
    */
-  async #fetch() {
-    // srcref is assumed to be only used for PDFs
-    if (this.#srcref) {
-      const cacheKey = this.#srcref.split('#')[0];
-      if (cache[cacheKey]) {
-        return;
-      }
-      const el = document.getElementById(cacheKey);
-      if (!el?.href) {
-        return;
-      }
+  async #updateDeck() {
+    const key = this.#cacheKey;
+    if (this.#deckKey === key) {
+      return;
+    }
+    this.#deck = null;
+    const entry = cache.get(key);
+    if (!entry || (entry.type === 'error')) {
+      this.#deckKey = null;
+      return;
+    }
+    this.#deckKey = key;
+    const deck = await getDeckInfo(entry);
+    if (this.#deckKey !== key) {
+      // Element switched to another slide deck in the meantime
+      return;
+    }
+    this.#deck = deck;
+    this.#updateAccessibility();
+    this.dispatchEvent(new CustomEvent('deckload', { detail: deck }));
+  }
 
-      // Inspired from https://stackoverflow.com/posts/12094943/revisions
-      const base64Marker = "application/pdf;base64,";
-      const dataUrl = new URL(el.href);
-      if (dataUrl.protocol !== "data:" || !dataUrl.pathname.startsWith(base64Marker)) {
-        return;
-      }
-      const base64 = dataUrl.pathname.substring(base64Marker.length);
-      // Note: call to `decodeURI` should not be needed but Chromium fails to
-      // strip newline characters in `data:` URLs, see:
-      // https://issues.chromium.org/issues/40764064
-      const raw = window.atob(window.decodeURI(base64));
-      const bytes = new Uint8Array(new ArrayBuffer(raw.length));
-      for (let i = 0; i < raw.length; i++) {
-        bytes[i] = raw.charCodeAt(i);
-      }
-      await PDFScriptsLoaded;
-      const loadingTask = window[PDFScripts.pdfjsLib.obj].getDocument(bytes);
-      const pdf = await loadingTask.promise;
-      cache[cacheKey] = { type: "pdf", pdf };
+
+  /**
+   * Set the role, the accessible name and the accessible description of the
+   * element. The element is a group with a "slide" role description, as in
+   * carousels. Each slide is such a group when the element renders several
+   * slides. ARIA attributes that authors set are left untouched.
+   */
+  #updateAccessibility() {
+    const rendered = this.#slideNumbers.length > 0;
+    const several = this.#slideLayout && (this.#slideNumbers.length > 1);
+    const name = this.#alt || (rendered ? this.#getSlideName() : null);
+
+    this.#setAriaAttribute('role', 'group');
+    this.#setAriaAttribute('aria-roledescription',
+      (this.getAttribute('role') === this.#ariaAttributes.role) ? 'slide' : null);
+    this.#setAriaAttribute('aria-label', name);
+    this.#setAriaAttribute('aria-description',
+      (this.#describedByNotes && !several) ? this.#slideNotes : null);
+
+    if (several && this.#slideEl) {
+      const containerEls = this.#slideEl.querySelectorAll('[part~=slide]');
+      containerEls.forEach((containerEl, index) => {
+        const slideNumber = this.#slideNumbers[index];
+        containerEl.setAttribute('role', 'group');
+        containerEl.setAttribute('aria-roledescription', 'slide');
+        containerEl.setAttribute('aria-label',
+          this.#getSlideTitle(slideNumber));
+      });
+    }
+  }
+
+
+  /**
+   * Return the title of the given slide, or "Slide N" if it has no title
+   */
+  #getSlideTitle(slideNumber) {
+    return this.#deck?.slides[slideNumber - 1]?.title || `Slide ${slideNumber}`;
+  }
+
+
+  /**
+   * Return the name of the rendered slide, computed from its title, or the
+   * title of the slide deck when the element renders several slides
+   */
+  #getSlideName() {
+    const several = this.#slideLayout && (this.#slideNumbers.length > 1);
+    return several ? this.#deck?.title : this.#getSlideTitle(this.#slideNumber);
+  }
+
+
+  /**
+   * Set (or remove when value is null) the given ARIA attribute on the
+   * element, unless the author set it
+   */
+  #setAriaAttribute(name, value) {
+    const current = this.getAttribute(name);
+    if ((current !== null) && (current !== this.#ariaAttributes[name])) {
       return;
     }
-    const docUrl = this.#src.split('#')[0];
-    log('fetch', docUrl, this);
+    if (value) {
+      this.setAttribute(name, value);
+      this.#ariaAttributes[name] = value;
+    }
+    else {
+      this.removeAttribute(name);
+      delete this.#ariaAttributes[name];
+    }
+  }
+
 
-    // Retrieve slide deck from cache when possible
-    if (pendingFetch[docUrl]) {
-      await pendingFetch[docUrl];
+  /**
+   * Announce the given text politely to assistive technology
+   */
+  #announce(text) {
+    if (!text) {
+      return;
+    }
+    if (!this.#liveEl) {
+      this.#liveEl = document.createElement('div');
+      this.#liveEl.setAttribute('aria-live', 'polite');
+      this.#liveEl.setAttribute('style',
+        'position: absolute; width: 1px; height: 1px; overflow: hidden; ' +
+        'clip-path: inset(50%); white-space: nowrap;');
+      this.shadowRoot.append(this.#liveEl);
     }
-    if (cache[docUrl]) {
+    this.#liveEl.textContent = text;
+  }
+
+
+  /**
+   * Reserve the box of the element while it waits to be rendered, using the
+   * aspect ratio of the slide deck if known, or the default aspect ratio
+   */
+  #reserveBox() {
+    if (this.#renderCycleID > 0) {
+      // A slide is already rendered, or about to be
       return;
     }
+    const cacheEntry = cache.get(this.#cacheKey);
+    const width = this.#width;
+    const height = this.#height ||
+      (cacheEntry?.width && cacheEntry?.height ?
+        cacheEntry.height * width / cacheEntry.width :
+        width / defaultAspectRatio);
+    const styleEl = document.createElement('style');
+    styleEl.textContent = this.#getHostStyles(width, height);
+    this.#clearShadowRoot();
+    this.shadowRoot.append(styleEl);
+    this.#showPlaceholder();
+  }
 
-    // Mark the slide deck as pending to avoid re-entrancy issues when function
-    // gets called from another instance, and fetch the slide deck
-    let pendingResolve;
-    pendingFetch[docUrl] = new Promise(resolve => {
-      pendingResolve = resolve;
-    });
 
-    try {
-      const resp = await fetch(docUrl);
-      if (resp.status !== 200) {
-        cache[docUrl] = {
-          type: 'error',
-          message: `Could not fetch slide deck ${docUrl} - HTTP status code received is ${resp.status}`
-        };
-        return;
+  /**
+   * Show the poster image, or a skeleton placeholder if there is no poster,
+   * on top of the element. The placeholder has the dimensions of the box of
+   * the element, which are set from the known or default aspect ratio until
+   * the slide is rendered.
+   */
+  #showPlaceholder() {
+    if (this.#placeholderEl) {
+      return;
+    }
+    this.#placeholderEl = document.createElement('div');
+    this.#placeholderEl.className = 'placeholder';
+    this.#placeholderEl.setAttribute('aria-hidden', 'true');
+    const styleEl = document.createElement('style');
+    styleEl.textContent = `
+      :host {
+        position: relative;
+      }
+      .placeholder {
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        z-index: 1;
+      }
+      [part=poster] {
+        display: block;
+        width: 100%;
+        height: 100%;
+        object-fit: contain;
       }
-      const contentType = resp.headers.get('Content-Type');
-      // TODO: is something more robust à la https://github.com/jsdom/whatwg-mimetype needed here?
-      const effectiveMimeType = contentType.split(';')[0];
-      if (effectiveMimeType === 'application/pdf' ||
-          // taking into account poorly configured servers
-          (effectiveMimeType === 'application/octet' && docUrl.match(/\.pdf$/))) {
-        this.#loadPDFScripts();
+      [part=placeholder] {
+        width: 100%;
+        height: 100%;
+        background: #eee;
+        animation: i-slide-placeholder 1.5s ease-in-out infinite;
       }
+      @keyframes i-slide-placeholder {
+        50% { opacity: 0.5; }
+      }
+      @media (prefers-reduced-motion: reduce) {
+        [part=placeholder] {
+          animation: none;
+        }
+      }
+    `;
+    let contentEl;
+    if (this.#poster) {
+      contentEl = document.createElement('img');
+      contentEl.setAttribute('part', 'poster');
+      contentEl.alt = '';
+      contentEl.src = this.#poster;
+    }
+    else {
+      contentEl = document.createElement('div');
+      contentEl.setAttribute('part', 'placeholder');
+    }
+    this.#placeholderEl.append(styleEl, contentEl);
+    this.shadowRoot.prepend(this.#placeholderEl);
+  }
 
-      const isPDF = (this.type === 'application/pdf') || (effectiveMimeType === 'application/pdf');
 
-      if (isPDF) {
-        await PDFScriptsLoaded;
-        const loadingTask = window[PDFScripts.pdfjsLib.obj].getDocument(docUrl);
-        const pdf = await loadingTask.promise;
-        cache[docUrl] = { type: 'pdf', pdf };
-      }
-      else {
-        const html = await resp.text();
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-
-        // Resolve all relative links in the document
-        // TODO: handle srcset for images, consider object[data]
-        // TODO: handle relative URLs in inline styles
-        const selector = ['src', 'href', 'poster', 'longdesc']
-          .map(attr => `*[${attr}]:not([${attr}*=":"])`)
-          .join(',');
-        doc.querySelectorAll(selector).forEach(el => {
-          const attr = el.hasAttribute('src') ? 'src' : 'href';
-          const relativeUrl = el.getAttribute(attr);
-          try {
-            const absoluteUrl = new URL(relativeUrl, docUrl).href;
-            el.setAttribute(attr, absoluteUrl);
-          }
-          catch {}
-        });
+  /**
+   * Remove the placeholder from the shadow tree
+   */
+  #hidePlaceholder() {
+    this.#placeholderEl?.remove();
+    this.#placeholderEl = null;
+  }
 
-        // TODO: Find out why fonts aren't downloaded!
-        cache[docUrl] = { type: 'shower-2014', doc };
-      }
+
+  /**
+   * Key of the slide deck in the cache
+   */
+  get #cacheKey() {
+    if (this.#srcObject) {
+      return getSrcObjectKey(this.#srcObject);
     }
-    catch (err) {
-      cache[docUrl] = { type: 'error', message: `Could not fetch slide deck ${docUrl}: ${err.message}`, err };
+    return (this.#srcref || this.#src).split('#')[0];
+  }
+
+
+  /**
+   * Fragment that identifies the slide to render in the slide deck
+   */
+  get #slideId() {
+    return (this.#srcref || this.#src).split('#')[1];
+  }
+
+
+  /**
+   * Retrieve the slide deck at the given src URL and populate the cache.
+   */
+  async #fetch() {
+    const docUrl = this.#cacheKey;
+    log('fetch', docUrl, this);
+    const persistent = !this.#srcObject && !this.#srcref &&
+      isPersistent(this.#cache);
+    const entry = await fetchDeck(docUrl, _ =>
+      this.#srcObject ? readSrcObject(this.#srcObject, this.#type, this.baseURI) :
+      this.#srcref ? this.#readSrcref(docUrl) :
+      fetchSource(docUrl, this.#type, persistent));
+    if (persistent) {
+      await restorePersistentDimensions(docUrl, entry);
     }
-    finally {
-      pendingResolve();
-      delete pendingFetch[docUrl];
+  }
+
+
+  /**
+   * Record the slide deck that the element uses when it is connected, and
+   * release the one it used before
+   */
+  #updateCacheRef() {
+    const key = (this.isConnected && (this.#renderCycleID > 0)) ?
+      this.#cacheKey :
+      null;
+    if (key === this.#cacheRef) {
+      return;
+    }
+    if (this.#cacheRef) {
+      releaseCacheEntry(this.#cacheRef, this);
+    }
+    if (key) {
+      useCacheEntry(key, this);
+    }
+    this.#cacheRef = key;
+  }
+
+
+  /**
+   * Read the slide deck that the srcref attribute targets and return a deck
+   * source. The srcref attribute may target a <template> element that contains
+   * an HTML slide deck, a <script> element whose type is the type of the slide
+   * deck it contains (e.g. "text/html"), or a link (typically to a data: URL).
+   * Relative links in embedded slide decks are resolved against the base URL
+   * of the element.
+   */
+  async #readSrcref(id) {
+    const el = document.getElementById(id);
+    const type = getEmbeddedDeckType(el);
+    if (type === null) {
+      throw new Error(`No element with ID ${id} that contains or links to a slide deck found`);
+    }
+
+    let data;
+    if (el instanceof HTMLTemplateElement) {
+      data = { mimeType: type, text: el.innerHTML };
+    }
+    else if (el instanceof HTMLScriptElement) {
+      data = { mimeType: type, text: el.textContent };
+    }
+    else {
+      data = decodeDataURL(el.href);
+      if (!data) {
+        return fetchSource(el.href, this.#type);
+      }
     }
+    return createDeckSource({
+      url: el.baseURI,
+      type: this.#type,
+      mimeType: data.mimeType,
+      bytes: data.bytes ?? new TextEncoder().encode(data.text).buffer
+    });
   }
 
   // We need the slide to be rendered with its styles
   // to measure its pixel dimensions
   // We do that only once per slideset to minimize flash of resizing
   async #calculateHTMLDimensions(slideEl, stylesLoaded) {
-    const docUrl = this.#src.split('#')[0];
-    const cacheEntry = cache[docUrl];
+    const docUrl = this.#cacheKey;
+    const cacheEntry = cache.get(docUrl);
 
     // Retrieve slide deck's width from cache when possible
     if (pendingDimensions[docUrl]) {
       await pendingDimensions[docUrl];
     }
     if (cacheEntry.width) {
-      // Record the dimensions
-      this.#intrinsicWidth = cacheEntry.width;
-      this.#intrinsicHeight = cacheEntry.height;
       return;
     }
 
@@ -513,14 +4623,18 @@ class ISlide extends HTMLElement {
 
     await stylesLoaded;
 
+    // Laying out the slide triggers the download of the web fonts it uses,
+    // wait until they are ready as they may change the dimensions
+    slideEl.getBoundingClientRect();
+    await document.fonts.ready;
+
     // Record the dimensions for other class instances that reference the
     // same slide deck
     cacheEntry.width = slideEl.clientWidth;
     cacheEntry.height = slideEl.clientHeight;
-
-    // Record the dimensions for this particular instance
-    this.#intrinsicWidth = cacheEntry.width;
-    this.#intrinsicHeight = cacheEntry.height;
+    if (cacheEntry.persistent) {
+      storePersistentDimensions(docUrl, cacheEntry);
+    }
 
     delete pendingDimensions[docUrl];
     pendingResolve();
@@ -532,12 +4646,18 @@ class ISlide extends HTMLElement {
   #resetSlide() {
     this.#slideEl = null;
     this.#slideNumber = null;
+    this.#slideNumbers = [];
+    this.#slideLayout = null;
+    this.#slideNotesPosition = null;
+    this.#slideNotes = null;
     this.#slideScale = null;
     this.#slideTargetWidth = null;
     this.#slideTargetHeight = null;
+    this.#slidePixelRatio = null;
+    this.#slidePlacement = null;
     this.#hostStyleEl = null;
-    this.#hostStyleEl = null;
-    this.#pdfPage = null;
+    this.#slideFormat = null;
+    this.#slideViews = [];
     this.#intrinsicWidth = null;
     this.#intrinsicHeight = null;
     this.#pendingWidth = null;
@@ -557,21 +4677,44 @@ class ISlide extends HTMLElement {
     let resolve;
     this.#renderPossible = new Promise(res => resolve = res);
 
-    this.#resetSlide();
-    this.shadowRoot.replaceChildren();
-
-    const src = this.#srcref || this.#src;
-
-    const [docUrl, slideId] = src.split('#');
-    const cacheEntry = cache[docUrl];
+    const docUrl = this.#cacheKey;
+    const slideId = this.#slideId;
+    const cacheEntry = touchCacheEntry(docUrl);
+    if (!cacheEntry) {
+      // The slide deck got evicted from the cache in the meantime, start over
+      if (!this.#renderCyclePlanned) {
+        this.#renderCyclePlanned = true;
+        setTimeout(_ => this.#fetchAndRender(), 0);
+      }
+      resolve();
+      return;
+    }
 
-    // Initial width is explicitly set
-    const width = this.clientWidth || this.#width;
+    this.#resetSlide();
+    this.#clearShadowRoot();
+
+    // Slides to render, and layout of the slides if there is more than one
+    // (or if a layout is explicitly requested). Speaker notes are rendered
+    // next to each slide, which also requires a layout. The fragment may also
+    // target a build step of the slide.
+    const { fragment, step } = (cacheEntry.type === 'error') ? {} :
+      splitStepFragment(cacheEntry, slideId ?? '');
+    const slideNumbers = (cacheEntry.type === 'error') ? null :
+      findSlides(cacheEntry, fragment);
+    const notesPosition = (this.#notesPosition !== 'hidden') ?
+      this.#notesPosition : null;
+    const layout = slideNumbers && (this.#layout ||
+      ((slideNumbers.length > 1) ? 'filmstrip' : (notesPosition ? 'stack' : null)));
+
+    // Initial width is explicitly set. When the element renders several
+    // slides, the width and height apply to each slide, and the element takes
+    // the dimensions of the layout.
+    const width = (!layout && this.clientWidth) || this.#width;
 
     // Initial height may be explicitly set. If not, we'll set it from the
     // width based on the default aspect ratio, unless the slide ratio is
     // already known.
-    let height = this.clientHeight || this.#height ||
+    const height = (!layout && this.clientHeight) || this.#height ||
       (cacheEntry.width && cacheEntry.height ?
         cacheEntry.height * width / cacheEntry.width :
         width / defaultAspectRatio);
@@ -587,137 +4730,168 @@ class ISlide extends HTMLElement {
 
     // Styles for the custom element itself
     this.#hostStyleEl = document.createElement('style');
-    this.#hostStyleEl.textContent = this.#getHostStyles(width, height);
+    this.#hostStyleEl.textContent = layout ?
+      this.#getLayoutStyles(layout, width, height, notesPosition) :
+      this.#getHostStyles(width, height);
 
     try {
       if (cacheEntry.type === 'error') {
-        throw new Error(cacheEntry.message);
+        throw createSlideError(cacheEntry.reason, cacheEntry.message,
+          { status: cacheEntry.err?.status });
+      }
+      if (!slideNumbers) {
+        throw createSlideError('slide-not-found',
+          `Could not find slide ${slideId} in ${docUrl}`);
       }
 
-      if (cacheEntry.type === 'pdf') {
-        const m = slideId.match(/^(page=)?(\d+)$/);
-        if (!m) throw new Error(`Unrecognized PDF fragment ${slideId}`);
-        this.#slideNumber = parseInt(m[2], 10);
-
-        const styleEl = document.createElement('link');
-        styleEl.rel = 'stylesheet';
-        styleEl.href = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@5.1.91/legacy/web/pdf_viewer.css';
-
+      const format = cacheEntry.format;
+      const context = {
+        root: this.shadowRoot,
+        hostStyleEl: this.#hostStyleEl,
+        width,
+        height,
+        textLayer: this.#textlayer !== 'off',
+        step: (slideNumbers.length === 1) ? (this.#step ?? step) : null,
+        maxCanvasPixels: this.#maxCanvasPixels,
+        measure: (slideEl, stylesLoaded) =>
+          this.#calculateHTMLDimensions(slideEl, stylesLoaded),
+        navigate: slideNumber => this.goTo(slideNumber)
+      };
+      this.#slideNumber = slideNumbers[0];
+      this.#slideNumbers = slideNumbers;
+      this.#slideLayout = layout;
+      this.#slideNotesPosition = notesPosition;
+      this.#slideFormat = format;
+
+      // Speaker notes of the slides
+      const notes = await Promise.all(slideNumbers.map(slideNumber =>
+        getSlideNotes(cacheEntry, slideNumber)));
+      this.#slideNotes = getNotesText(notes[0]);
+
+      // Let the format adapter render the slides in the shadow tree. Note that
+      // slides get scaled to the right dimensions in #scaleContent
+      if (layout) {
+        // Each slide gets rendered in its own container. The <style> element
+        // that contains :host styles is already in the shadow tree, adapters
+        // get a separate <style> element for each slide.
         this.#slideEl = document.createElement('div');
-        this.#slideEl.setAttribute('class', 'pdfViewer');
-        // Needed to properly position the annotation layer (e.g. links)
-        this.#slideEl.style.position = "relative";
-        this.#slideEl.style.overflow = "hidden";
-
-        this.shadowRoot.append(this.#hostStyleEl, styleEl, this.#slideEl);
-
-        const pdf = cacheEntry.pdf;
-        this.#pdfPage = await pdf.getPage(this.#slideNumber);
-
-        // Save intrinsic dimensions of the current slide
-        this.#intrinsicWidth = this.#pdfPage.view[2];
-        this.#intrinsicHeight = this.#pdfPage.view[3];
-
-        // Note that the PDF slide gets rendered when it is scaled up/down to
-        // the right dimensions in #scaleContent
+        this.#slideEl.setAttribute('part', 'slides');
+        this.shadowRoot.append(this.#hostStyleEl, this.#slideEl);
+        for (const [index, slideNumber] of slideNumbers.entries()) {
+          const containerEl = document.createElement('div');
+          containerEl.setAttribute('part', 'slide');
+          if (notesPosition) {
+            // Notes are rendered next to the container, outside of the
+            // scaling transform
+            const viewEl = document.createElement('div');
+            viewEl.setAttribute('part', 'view');
+            const notesEl = document.createElement('div');
+            notesEl.setAttribute('part', 'notes');
+            if (notes[index]) {
+              notesEl.append(notes[index].cloneNode(true));
+            }
+            viewEl.append(containerEl, notesEl);
+            this.#slideEl.append(viewEl);
+          }
+          else {
+            this.#slideEl.append(containerEl);
+          }
+          const view = await format.render(cacheEntry, slideNumber, Object.assign(
+            {}, context,
+            { root: containerEl, hostStyleEl: document.createElement('style') }));
+          this.#slideViews.push(view);
+        }
       }
       else {
-        const { type, doc } = cache[docUrl];
-        const headEl = doc.querySelector('head').cloneNode(true);
-        const bodyEl = doc.querySelector('body').cloneNode();
-        const slideNumber = parseInt(slideId, 10);
-        const origSlides = [...doc.querySelectorAll('.slide')];
-        const origSlideEl = doc.getElementById(slideId) ||
-              origSlides[slideNumber - 1];
-        if (!origSlideEl) throw new Error(`Could not find slide ${slideId} in ${docUrl}`);
-        this.#slideNumber = isNaN(slideNumber) ?
-          origSlides.findIndex(s => s === origSlideEl) + 1 :
-          slideNumber;
-        const slideEl = origSlideEl.cloneNode(true);
-        slideEl.style.marginLeft = '0';
-        bodyEl.style.top = 'inherit';
-        bodyEl.style.left = 'inherit';
-        bodyEl.style.margin = 'inherit';
-        bodyEl.style.transformOrigin = '0 0';
-
-        // HTML slides are typically numbered through CSS, using a `slide`
-        // counter. We only render one slide, let's force the value to the
-        // actual slide number.
-        const totalSlides = origSlides.length;
-        slideEl.style.counterReset =
-          `slide ${this.#slideNumber - 1} numslides ${totalSlides}`;
-
-        //  Works for Shower and b6
-        slideEl.classList.add('active');
-        bodyEl.classList.add('full');
-        bodyEl.classList.remove('list');
-
-        // Specific to Shower with CSS Variables
-        slideEl.style.setProperty('--slide-scale', 1);
-
-        bodyEl.appendChild(slideEl);
-
-        const styleLoadedPromises = [];
-        [...headEl.querySelectorAll("link[rel~=stylesheet]")].map(l => {
-          let resolve;
-          const p = new Promise((res) => resolve = res);
-          l.addEventListener("load", resolve);
-          l.addEventListener("error", resolve);
-          styleLoadedPromises.push(p);
-        });
-
-        // Attach HTML document to shadow root, making sure that the content
-        // cannot overflow the <i-slide> element (the height of the <html>
-        // element must be specified because <body> is absoluted positioned in
-        // Shower.js, so height of <html> would be 0 otherwise)
-        this.#slideEl = document.createElement('html');
-        this.#slideEl.style.position = 'relative';
-        this.#slideEl.style.overflow = 'hidden';
-        this.#slideEl.style.height = `${height}px`;
-        headEl.appendChild(this.#hostStyleEl);
-
-        if (!cacheEntry.width) {
-          // Nothing known about intrinsic slide dimensions for now,
-          // hide the slide on the left to avoid showing bogusly scaled content
-          slideEl.style.marginLeft = "-2000px";
-        }
-
-        this.#slideEl.appendChild(headEl);
-        this.#slideEl.appendChild(bodyEl);
-        this.shadowRoot.append(this.#slideEl);
-
-        if (cacheEntry.width) {
-          this.#intrinsicWidth = cacheEntry.width;
-          this.#intrinsicHeight = cacheEntry.height;
-        }
-        else {
-          // Wait until we get the dimensions of the slide
-          // and move slide element back in the flow
-          await this.#calculateHTMLDimensions(slideEl, Promise.all(styleLoadedPromises));
-          slideEl.style.marginLeft = "inherit";
-
-          // Adjust height now that we know the intrinsic dimensions of the
-          // slide
-          height = cacheEntry.height * width / cacheEntry.width;
-        }
+        const view = await format.render(cacheEntry, this.#slideNumber, context);
+        this.#slideViews.push(view);
+        this.#slideEl = view.slideEl;
       }
 
+      // Save intrinsic dimensions of the (first) slide
+      this.#intrinsicWidth = this.#slideViews[0].width;
+      this.#intrinsicHeight = this.#slideViews[0].height;
+
       // Render and rescale content accordingly
       await this.#scaleContent();
     } catch (err) {
       console.error(err.toString(), err);
-      this.shadowRoot.innerHTML = "";
+      this.#setError(err);
+      this.#clearShadowRoot();
+      this.#slideFormat = null;
+      this.#slideViews = [];
+      this.#slideNumbers = [];
+      this.#slideLayout = null;
+      this.#slideNotesPosition = null;
+      this.#slideNotes = null;
+      this.#hostStyleEl.textContent = this.#getHostStyles(width, height);
       this.#slideEl = document.createElement('div');
-      this.#slideEl.innerHTML = this.innerHTML.trim() || `<a href="${this.src}">${this.src}</a>`;
+      const content = this.innerHTML.trim();
+      if ((this.#fallback === 'content') && content) {
+        this.#slideEl.innerHTML = content;
+      }
+      else if (this.#fallback !== 'none') {
+        const linkEl = document.createElement('a');
+        linkEl.href = this.src;
+        linkEl.textContent = this.src;
+        this.#slideEl.append(linkEl);
+      }
       this.shadowRoot.append(this.#hostStyleEl, this.#slideEl);
     }
     finally {
+      this.#updateControls();
+
       // Release the #renderPossible lock
       resolve();
     }
   }
 
 
+  /**
+   * Remove the rendered slide from the shadow tree. Controls are preserved,
+   * so that they do not lose focus, and so are the placeholder and the live
+   * region.
+   */
+  #clearShadowRoot() {
+    for (const node of [...this.shadowRoot.childNodes]) {
+      if ((node !== this.#controlsEl) && (node !== this.#placeholderEl) &&
+          (node !== this.#liveEl)) {
+        node.remove();
+      }
+    }
+    this.shadowRoot.adoptedStyleSheets = [];
+  }
+
+
+  /**
+   * Prevent the slide deck from being evicted from the cache while the element
+   * is connected, and fetch it again if it got evicted while the element was
+   * disconnected. Connected elements get prepared for printing when the
+   * document is printed.
+   */
+  connectedCallback() {
+    this.#updateCacheRef();
+    ISlide.#connectedElements.add(this);
+    ISlide.#listenToWindow();
+    const key = this.#cacheKey;
+    if ((this.#renderCycleID > 0) && !cache.has(key) && !pendingFetch[key] &&
+        !this.#renderCyclePlanned) {
+      this.#renderCyclePlanned = true;
+      setTimeout(_ => this.#fetchAndRender(), 0);
+    }
+  }
+
+
+  /**
+   * Let the slide deck be evicted from the cache once the element is
+   * disconnected
+   */
+  disconnectedCallback() {
+    this.#updateCacheRef();
+    ISlide.#connectedElements.delete(this);
+  }
+
+
   /**
    * Listen to attribute changes and render slide appropriately.
    * 
@@ -737,6 +4911,57 @@ class ISlide extends HTMLElement {
       case 'type':
         this.type = newValue;
         break;
+      case 'cache':
+        this.cache = newValue;
+        break;
+      case 'loading':
+        this.loading = newValue;
+        break;
+      case 'layout':
+        this.layout = newValue;
+        break;
+      case 'controls':
+        this.controls = newValue !== null;
+        break;
+      case 'fit':
+        this.fit = newValue;
+        break;
+      case 'position':
+        this.position = newValue;
+        break;
+      case 'fallback':
+        this.fallback = newValue;
+        break;
+      case 'poster':
+        this.poster = newValue;
+        break;
+      case 'textlayer':
+        this.textlayer = newValue;
+        break;
+      case 'alt':
+        this.alt = newValue;
+        break;
+      case 'step':
+        this.step = newValue;
+        break;
+      case 'max-canvas-pixels':
+        this.maxCanvasPixels = newValue;
+        break;
+      case 'described-by-notes':
+        this.describedByNotes = newValue !== null;
+        break;
+      case 'notes-position':
+        this.notesPosition = newValue;
+        break;
+      case 'class':
+      case 'style':
+        // Rescale content if "object-fit" or "object-position" changed, unless
+        // a render is already planned, or unless no fetch-and-render cycle has
+        // started yet
+        if (!this.#renderCyclePlanned && (this.#renderCycleID > 0)) {
+          this.#scaleContent();
+        }
+        break;
       case 'width':
         this.width = newValue;
         break;
@@ -747,28 +4972,6 @@ class ISlide extends HTMLElement {
   }
 
 
-  /**
-   * Load PDF.js libraries
-   */
-  async #loadPDFScripts() {
-    if (PDFScriptsHandled) {
-      return;
-    }
-    PDFScriptsHandled = true;
-
-    for (const { url, obj } of Object.values(PDFScripts)) {
-      if (window[obj]) {
-        continue;
-      }
-      window[obj] = await import(url);
-    }
-
-    // TODO: move hard-coded URL elsewhere
-    window[PDFScripts.pdfjsLib.obj].GlobalWorkerOptions.workerSrc = PDFScriptsUrl + 'build/pdf.worker.mjs';
-
-    resolvePDFScriptsPromise();
-  }
-
   /**
    * Retrieve styles to be applied to the custom element to create something
    * that is as close as possible to a "replaced element" in CSS:
@@ -789,21 +4992,101 @@ class ISlide extends HTMLElement {
         width: ${width === 'auto' ? 'auto': width + 'px'};
         ${heightProp}
         overflow: hidden;
+        object-fit: contain;
+        break-inside: avoid;
       }
       :host([hidden]) {
         display: none;
       }
+      @media not print {
+        .i-slide-print-only {
+          display: none;
+        }
+      }
     `;
   }
 
   /**
-   * Scale the intrinsic content to fit the requested box
+   * Retrieve styles to be applied to the custom element and to the containers
+   * of the slides when the element renders several slides with the given
+   * layout. Width and height are the dimensions of each slide. The gap between
+   * slides can be set with the "--i-slide-gap" CSS custom property.
+   * - "filmstrip": slides in a row, scrollable if the row does not fit
+   * - "grid": slides in a grid that fills the available width
+   * - "stack": slides in a column
    *
-   * TODO: Add support for "object-fit" and "object-position" properties, to be
-   * passed as function parameters. Currently, the function assumes that the
-   * following directives always apply:
-   *   object-fit: contain (proper default should rather be "fill")
-   *   object-position: top left (proper default should rather be "50% 50%")
+   * When speaker notes are rendered "below" or on the "side" of the slides,
+   * each slide and its notes are grouped in a view. Notes on the side have a
+   * width that can be set with the "--i-slide-notes-width" CSS custom
+   * property.
+   */
+  #getLayoutStyles(layout, width, height, notesPosition) {
+    const itemWidth = (notesPosition === 'side') ?
+      `calc(${width}px + var(--i-slide-gap, 8px) + var(--i-slide-notes-width, 300px))` :
+      `${width}px`;
+    const layoutProps = {
+      filmstrip: `
+        display: flex;
+        flex-direction: row;`,
+      grid: `
+        display: grid;
+        grid-template-columns: repeat(auto-fill, ${itemWidth});`,
+      stack: `
+        display: flex;
+        flex-direction: column;`
+    };
+
+    return `
+      :host {
+        display: ${layout === 'stack' ? 'inline-block' : 'block'};
+        overflow: auto;
+        object-fit: contain;
+      }
+      :host([hidden]) {
+        display: none;
+      }
+      [part~=slides] {${layoutProps[layout]}
+        gap: var(--i-slide-gap, 8px);
+      }
+      [part~=slide] {
+        position: relative;
+        overflow: hidden;
+        flex: none;
+        break-inside: avoid;
+        width: ${width}px;
+        height: ${height}px;
+      }
+      [part~=view] {
+        display: flex;
+        flex-direction: ${notesPosition === 'side' ? 'row' : 'column'};
+        flex: none;
+        break-inside: avoid;
+        gap: var(--i-slide-gap, 8px);
+      }
+      [part~=notes] {
+        box-sizing: border-box;
+        flex: none;
+        overflow: auto;
+        font: 14px/1.5 sans-serif;
+        ${notesPosition === 'side' ?
+          `width: var(--i-slide-notes-width, 300px);
+        height: ${height}px;` :
+          `width: ${width}px;`}
+      }
+      @media not print {
+        .i-slide-print-only {
+          display: none;
+        }
+      }
+    `;
+  }
+
+  /**
+   * Scale the intrinsic content to fit the requested box, following the
+   * "object-fit" and "object-position" CSS properties of the element, or the
+   * "fit" and "position" attributes. Host styles set "object-fit" to
+   * "contain" by default (instead of "fill" for replaced elements), so that
+   * slides are not distorted.
    */
   async #scaleContent(box) {
     box = box || {};
@@ -823,81 +5106,77 @@ class ISlide extends HTMLElement {
 
     // Compute the dimensions of the i-slide element in the absence of
     // additional constraints, and set box dimensions that are not yet imposed.
-    const targetWidth = this.clientWidth || this.#width;
-    box.width = box.width || this.#pendingWidth || targetWidth;
+    // When the element renders several slides, the box is the box of each
+    // slide, which only depends on the width and height attributes.
+    const layout = this.#slideLayout;
+    const targetWidth = (!layout && this.clientWidth) || this.#width;
+    box.width = (!layout && (box.width || this.#pendingWidth)) || targetWidth;
 
-    const targetHeight = this.clientHeight || this.#height ||
+    const targetHeight = (!layout && this.clientHeight) || this.#height ||
       (this.#intrinsicWidth && this.#intrinsicHeight ?
         this.#intrinsicHeight * box.width / this.#intrinsicWidth :
         box.width / defaultAspectRatio);
-    box.height = box.height || this.#pendingHeight || targetHeight;
+    box.height = (!layout && (box.height || this.#pendingHeight)) || targetHeight;
 
     // Reset pending resize if needed
     this.#pendingWidth = null;
     this.#pendingHeight = null;
 
     // Compute the scale for slide to fit in the box
-    // (Note the need to convert from CSS points to CSS pixels for PDF slides)
-    const scale = Math.min(
-      box.height / this.#intrinsicHeight,
-      box.width / this.#intrinsicWidth) * (this.#pdfPage ? 72 / 96 : 1);
+    const computedStyle = getComputedStyle(this);
+    const fit = objectFitValues.includes(this.#fit) ? this.#fit :
+      objectFitValues.includes(computedStyle.objectFit) ? computedStyle.objectFit :
+      'contain';
+    const position = this.#position || computedStyle.objectPosition;
+    const scale = getObjectFitScales(fit, box,
+      this.#intrinsicWidth, this.#intrinsicHeight).scale;
 
     // No need to scale content if scale is already the right one
+    const pixelRatio = window.devicePixelRatio || 1;
     if ((this.#slideScale === scale) &&
         (this.#slideTargetWidth === targetWidth) &&
-        (this.#slideTargetHeight === targetHeight)) {
+        (this.#slideTargetHeight === targetHeight) &&
+        (this.#slidePixelRatio === pixelRatio) &&
+        (this.#slidePlacement === `${box.width} ${box.height} ${fit} ${position}`)) {
       log(logPrefix, 'not needed');
       return;
     }
     log(logPrefix, `scale:${this.#slideScale}=>${scale}`,
       `width:${this.#slideTargetWidth}=>${targetWidth}`,
-      `height:${this.#slideTargetHeight}=>${targetHeight}`);
+      `height:${this.#slideTargetHeight}=>${targetHeight}`,
+      `pixelRatio:${this.#slidePixelRatio}=>${pixelRatio}`,
+      `fit:${fit}`, `position:${position}`);
     this.#slideScale = scale;
     this.#slideTargetWidth = targetWidth;
     this.#slideTargetHeight = targetHeight;
-
-    if (this.#pdfPage) {
-      // Slide to render is a PDF slide
-      const pdfjsViewer = window[PDFScripts.pdfjsViewer.obj];
-
-      // Drop PDF content that may already have been rendered
-      this.#slideEl.replaceChildren();
-
-      // Make slides fit the desired dimensions of the component
-      const viewport = this.#pdfPage.getViewport({ scale });
-      const pdfPageView = new pdfjsViewer.PDFPageView({
-        container: this.#slideEl,
-        id: this.#slideNumber,
-        scale: scale,
-        defaultViewport: viewport,
-        eventBus: new pdfjsViewer.EventBus()
-      });
-
-      // Associates the actual page with the view, and draw it
-      pdfPageView.setPdfPage(this.#pdfPage);
-      await pdfPageView.draw();
+    this.#slidePixelRatio = pixelRatio;
+    this.#slidePlacement = `${box.width} ${box.height} ${fit} ${position}`;
+
+    if (this.#slideViews.length > 0) {
+      // Let the format adapter scale the slides, and position them in the box.
+      // Slides in a deck may not all have the same intrinsic dimensions (e.g.
+      // PDF pages). Adapters scale slides uniformly, the "fill" value
+      // stretches the result afterwards.
+      const { x, y } = parseObjectPosition(position);
+      await Promise.all(this.#slideViews.map(async view => {
+        const scales = getObjectFitScales(fit, box, view.width, view.height);
+        await this.#slideFormat.scale(view, scales.scale);
+        const left = (box.width - view.width * scales.x) * x.ratio + x.offset;
+        const top = (box.height - view.height * scales.y) * y.ratio + y.offset;
+        view.slideEl.style.transformOrigin = '0 0';
+        view.slideEl.style.transform = `translate(${left}px, ${top}px)` +
+          ` scale(${scales.x / scales.scale}, ${scales.y / scales.scale})`;
+      }));
+      this.#planPrintRender();
     }
     else {
-      const width = this.#intrinsicWidth * scale;
-      const height = this.#intrinsicHeight * scale;
-
-      this.#slideEl.style.width = `${width}px`;
-      this.#slideEl.style.height = `${height}px`;
-
-      // Note <body> is not set when an error occurred
-      const body = this.#slideEl.querySelector('body');
-      if (body) {
-        body.style.transform = `scale(${scale})`;
-      }
-      else {
-        // An error means we fallback to the inner HTML content, so no intrinsic
-        // dimensions anymore. Or should we rather stick to the requested width
-        // and height as for <img>?
-        this.#slideEl.style.width = 'auto';
-        this.#slideEl.style.height = 'auto';
-        this.#hostStyleEl.textContent = this.#getHostStyles('auto', 'auto');
-        return;
-      }
+      // An error means we fallback to the inner HTML content, so no intrinsic
+      // dimensions anymore. Or should we rather stick to the requested width
+      // and height as for <img>?
+      this.#slideEl.style.width = 'auto';
+      this.#slideEl.style.height = 'auto';
+      this.#hostStyleEl.textContent = this.#getHostStyles('auto', 'auto');
+      return;
     }
 
     // Set the targeted dimensions (note CSS properties may further constrain
@@ -905,7 +5184,10 @@ class ISlide extends HTMLElement {
     // set at the :host level. That is good, these directives tell the browser
     // to resize the element to the right dimensions when these constraints
     // change or disappear).
-    this.#hostStyleEl.textContent = this.#getHostStyles(targetWidth, targetHeight);
+    this.#hostStyleEl.textContent = layout ?
+      this.#getLayoutStyles(layout, targetWidth, targetHeight,
+        this.#slideNotesPosition) :
+      this.#getHostStyles(targetWidth, targetHeight);
   }
 }
 
@@ -1,8 +1,24 @@
 import ISlide from './ISlide.js';
-customElements.define('i-slide', ISlide);
 
 const queryString = new URL(import.meta.url).search.slice(1);
 const params = new URLSearchParams(queryString);
+
+// PDF.js must be configured before elements get upgraded
+const pdfjs = {};
+if (params.get("pdfjs")) {
+  pdfjs.base = params.get("pdfjs");
+}
+for (const prop of ["lib", "viewer", "worker", "css"]) {
+  if (params.has(`pdfjs-${prop}`)) {
+    pdfjs[prop] = params.get(`pdfjs-${prop}`) || null;
+  }
+}
+if (Object.keys(pdfjs).length) {
+  ISlide.configure({ pdfjs });
+}
+
+customElements.define('i-slide', ISlide);
+
 if (params.get("selector")) {
   document.querySelectorAll(params.get("selector")).forEach(
     el => {
@@ -3,9 +3,28 @@ const puppeteer = require('puppeteer');
 
 const {HttpServer} = require("http-server");
 
+// Resources under "/test/unavailable/" are served from "/test/resources/" the
+// first time they are requested, as if the server became unavailable
+// afterwards
+const servedOnce = new Set();
+
 const server = new HttpServer({
   cors: true,
   port: 0,
+  before: [
+    (req, res) => {
+      if (req.url.startsWith('/test/unavailable/')) {
+        if (servedOnce.has(req.url)) {
+          res.statusCode = 503;
+          res.end('Service Unavailable');
+          return;
+        }
+        servedOnce.add(req.url);
+        req.url = req.url.replace('/test/unavailable/', '/test/resources/');
+      }
+      res.emit('next');
+    }
+  ],
   logFn: (req, res, err) => {
     // Ignore "not found" errors that some tests generate on purpose
     if (err && err.status !== 404) {
@@ -152,6 +171,30 @@ const tests = {
     ]
   },
 
+  "renders a text layer for PDF slides": {
+    slide: "slides.pdf#page=1",
+    expects: [
+      {
+        eval: _ => window.slideEl.shadowRoot.querySelector(".textLayer")
+          ?.textContent.includes("Test PDF slides") ?? false,
+        result: true
+      },
+      {
+        eval: async _ => {
+          const el = window.slideEl;
+          await new Promise(resolve => {
+            el.addEventListener("load", resolve, { once: true });
+            el.setAttribute("textlayer", "off");
+          });
+          const textLayer = !!el.shadowRoot.querySelector(".textLayer");
+          const link = el.shadowRoot.querySelector(".annotationLayer a")?.getAttribute("href");
+          return `textLayer:${textLayer} link:${link}`;
+        },
+        result: "textLayer:false link:https://github.com/tidoust/i-slide/"
+      }
+    ]
+  },
+
   "loads multiple PDF slides": [
     {
       slide: "slides.pdf#page=1",
@@ -194,6 +237,337 @@ const tests = {
     }
   ],
 
+  "reports why the slide could not be rendered": [
+    {
+      slide: "404.html",
+      expects: [
+        { eval: _ => window.slideEl.error.reason, result: "http-status" },
+        { eval: _ => window.slideEl.error.status, result: 404 },
+        { eval: _ => window.slideEl.getAttribute("error"), result: "http-status" },
+        { eval: _ => window.slideEl.loaded, result: false }
+      ]
+    },
+    {
+      slide: "about:blank#1",
+      expects: { eval: _ => window.slideEl.error.reason, result: "network" }
+    },
+    {
+      slide: "shower.html#foo",
+      expects: { eval: _ => window.slideEl.error.reason, result: "slide-not-found" }
+    },
+    {
+      slide: "shower.html#1",
+      expects: [
+        { eval: _ => window.slideEl.error, result: null },
+        { eval: _ => window.slideEl.hasAttribute("error"), result: false }
+      ]
+    }
+  ],
+
+  "fires an error event when the slide cannot be rendered": {
+    slide: "shower.html#1",
+    expects: {
+      eval: async _ => {
+        const el = window.slideEl;
+        const detail = await new Promise(resolve => {
+          el.addEventListener("error", evt => resolve(evt.detail));
+          el.src = "test/resources/shower.html#foo";
+        });
+        return `${detail.reason} ${el.shadowRoot.querySelector("a")?.getAttribute("href")}`;
+      },
+      result: `slide-not-found ${baseUrl}shower.html#foo`
+    }
+  },
+
+  "shows a placeholder until the slide is rendered": {
+    slide: "shower.html#1",
+    expects: [
+      {
+        eval: async _ => {
+          const el = document.createElement(window.slideEl.localName);
+          el.src = "test/resources/shower.html#2";
+          document.body.append(el);
+          await new Promise(resolve => setTimeout(resolve, 0));
+          const before = !!el.shadowRoot.querySelector("[part=placeholder]");
+          await new Promise(resolve => el.addEventListener("load", resolve));
+          const after = !!el.shadowRoot.querySelector("[part=placeholder]");
+          return `before:${before} after:${after}`;
+        },
+        result: "before:true after:false"
+      },
+      {
+        eval: async _ => {
+          // Lazy element far from the viewport, rendered when it becomes eager
+          const el = document.createElement(window.slideEl.localName);
+          el.style.cssText = "position: absolute; top: 100000px";
+          el.setAttribute("loading", "lazy");
+          el.setAttribute("poster", "test/resources/poster.png");
+          el.src = "test/resources/shower.html#2";
+          document.body.append(el);
+          await new Promise(resolve => setTimeout(resolve, 100));
+          const posterEl = el.shadowRoot.querySelector("[part=poster]");
+          await posterEl.decode();
+          const rect = posterEl.getBoundingClientRect();
+          const before = `${posterEl.getAttribute("src")} ${posterEl.naturalWidth}x${posterEl.naturalHeight} ` +
+            `visible:${(rect.width > 0) && (getComputedStyle(posterEl).visibility === "visible")}`;
+          const loaded = new Promise(resolve => el.addEventListener("load", resolve));
+          el.setAttribute("loading", "eager");
+          await loaded;
+          const after = !!el.shadowRoot.querySelector("[part=poster]");
+          el.remove();
+          return `before:${before} after:${after}`;
+        },
+        result: `before:${baseUrl}poster.png 64x36 visible:true after:false`
+      }
+    ]
+  },
+
+  "exposes information about HTML slide decks": {
+    slide: "shower.html#2",
+    expects: [
+      { eval: _ => window.slideEl.deck.title, result: "Shower Presentation Engine" },
+      { eval: _ => window.slideEl.deck.slideCount, result: 4 },
+      {
+        eval: _ => JSON.stringify(window.slideEl.deck.slides[0]),
+        result: JSON.stringify({ number: 1, id: "cover", title: "Shower Presentation Engine", steps: 0 })
+      },
+      {
+        eval: async _ => {
+          const info = await window.slideEl.constructor.getDeckInfo("test/resources/slides.md");
+          return info.slides.map(slide => `${slide.number}:${slide.id}:${slide.title}`).join(" ");
+        },
+        result: "1:null:Markdown slides 2:features:Features 3:null:Code"
+      }
+    ]
+  },
+
+  "exposes information about PDF slide decks": {
+    slide: "slides.pdf#1",
+    expects: {
+      eval: async _ => {
+        const el = window.slideEl;
+        const deck = el.deck ?? await new Promise(resolve =>
+          el.addEventListener("deckload", evt => resolve(evt.detail)));
+        return `${deck.title} ${deck.slideCount} ${deck.slides.map(slide => slide.title).join(", ")}`;
+      },
+      result: "Untitled presentation 2 Test PDF slides, My Second Slide"
+    }
+  },
+
+  "names slides of tagged PDF documents after the headings of their structure tree": {
+    slide: "tagged.pdf#1",
+    expects: [
+      {
+        eval: async _ => {
+          const el = window.slideEl;
+          const deck = el.deck ?? await new Promise(resolve =>
+            el.addEventListener("deckload", evt => resolve(evt.detail)));
+          return deck.slides[0].title;
+        },
+        result: "Tagged Title"
+      },
+      {
+        eval: _ => window.slideEl.getAttribute("aria-label"),
+        result: "Tagged Title"
+      }
+    ]
+  },
+
+  "fires a deckload event when it switches to another slide deck": {
+    slide: "shower.html#1",
+    expects: {
+      eval: async _ => {
+        const el = window.slideEl;
+        const events = [];
+        el.addEventListener("deckload", evt => events.push(`deckload:${evt.detail.slideCount}`));
+        const loaded = _ => new Promise(resolve =>
+          el.addEventListener("load", resolve, { once: true }));
+        el.src = "test/resources/shower.html#2";
+        await loaded();
+        el.src = "test/resources/slides.md#1";
+        await loaded();
+        return events.join(" ");
+      },
+      result: "deckload:3"
+    }
+  },
+
+  "exposes speaker notes": [
+    {
+      slide: "slides.md#1",
+      expects: [
+        { eval: _ => window.slideEl.notes, result: "Welcome everyone!" },
+        { path: "[part=notes]", result: false }
+      ]
+    },
+    {
+      slide: "slides.md#2",
+      expects: { eval: _ => window.slideEl.notes, result: null }
+    }
+  ],
+
+  "renders speaker notes below or on the side of the slide": {
+    slide: "slides.md#1",
+    expects: {
+      eval: async _ => {
+        const el = window.slideEl;
+        const rendered = async notes => {
+          await new Promise(resolve => {
+            el.addEventListener("load", resolve, { once: true });
+            el.setAttribute("notes-position", notes);
+          });
+          const notesEl = el.shadowRoot.querySelector("[part=notes]");
+          const slideEl = el.shadowRoot.querySelector("[part=slide]");
+          const notesBox = notesEl.getBoundingClientRect();
+          const slideBox = slideEl.getBoundingClientRect();
+          const position = (notesBox.top >= slideBox.bottom) ? "below" :
+            (notesBox.left >= slideBox.right) ? "side" : "?";
+          return `${position}:${notesEl.textContent.trim()}`;
+        };
+        return `${await rendered("below")} ${await rendered("side")}`;
+      },
+      result: "below:Welcome everyone! side:Welcome everyone!"
+    }
+  },
+
+  "renders the slide at the requested build step": [
+    {
+      slide: "steps.html#2.1",
+      expects: {
+        eval: _ => [...window.slideEl.shadowRoot.querySelectorAll("li.next")]
+          .map(el => `${el.className} ${el.style.visibility || "visible"}`)
+          .join(", "),
+        result: "next active visible, next hidden"
+      }
+    },
+    {
+      slide: "steps.html#2",
+      expects: {
+        eval: async _ => {
+          const el = window.slideEl;
+          await new Promise(resolve => {
+            el.addEventListener("load", resolve, { once: true });
+            el.setAttribute("step", "0");
+          });
+          return [...el.shadowRoot.querySelectorAll("li.next")]
+            .map(el => el.style.visibility || "visible").join(" ");
+        },
+        result: "hidden hidden"
+      }
+    },
+    {
+      slide: "steps.html#1",
+      expects: {
+        eval: async _ => {
+          const el = window.slideEl;
+          if (!el.deck) {
+            await new Promise(resolve => el.addEventListener("deckload", resolve));
+          }
+          return el.deck.slides.map(slide => slide.steps).join(",");
+        },
+        result: "0,2,0"
+      }
+    }
+  ],
+
+  "exposes the slide as a named group to assistive technology": [
+    {
+      slide: "shower.html#2",
+      expects: [
+        { path: "@role", result: "group" },
+        { path: "@aria-roledescription", result: "slide" },
+        { path: "@aria-label", result: "Shower key features" },
+        {
+          eval: _ => {
+            window.slideEl.setAttribute("alt", "Key features of Shower");
+            return window.slideEl.getAttribute("aria-label");
+          },
+          result: "Key features of Shower"
+        }
+      ]
+    },
+    {
+      slide: "slides.pdf#page=1",
+      expects: {
+        eval: async _ => {
+          const el = window.slideEl;
+          if (!el.deck) {
+            await new Promise(resolve => el.addEventListener("deckload", resolve));
+          }
+          return el.getAttribute("aria-label");
+        },
+        result: "Test PDF slides"
+      }
+    }
+  ],
+
+  "describes the slide with its speaker notes": {
+    slide: "slides.md#1",
+    expects: {
+      eval: _ => {
+        window.slideEl.setAttribute("described-by-notes", "");
+        return window.slideEl.getAttribute("aria-description");
+      },
+      result: "Welcome everyone!"
+    }
+  },
+
+  "announces slide changes": {
+    slide: "shower.html#2",
+    expects: {
+      eval: async _ => {
+        const el = window.slideEl;
+        await new Promise(resolve => {
+          el.addEventListener("load", resolve, { once: true });
+          el.next();
+        });
+        return el.shadowRoot.querySelector("[aria-live=polite]")?.textContent;
+      },
+      result: "Plain text on your slides"
+    }
+  },
+
+  "announces the name of the slide when authors set a label": {
+    slide: "shower.html#2",
+    expects: {
+      eval: async _ => {
+        const el = window.slideEl;
+        el.setAttribute("aria-label", "Shower slides");
+        await new Promise(resolve => {
+          el.addEventListener("load", resolve, { once: true });
+          el.next();
+        });
+        return el.getAttribute("aria-label") + " | " +
+          el.shadowRoot.querySelector("[aria-live=polite]")?.textContent;
+      },
+      result: "Shower slides | Plain text on your slides"
+    }
+  },
+
+  "renders the requested fallback": {
+    slide: { url: "404.html", innerHTML: "<span>Fallback</span>" },
+    expects: [
+      { path: "span", result: true },
+      {
+        eval: async _ => {
+          const el = window.slideEl;
+          const rendered = async fallback => {
+            await new Promise(resolve => {
+              el.addEventListener("error", resolve, { once: true });
+              el.fallback = fallback;
+            });
+            const div = el.shadowRoot.querySelector("div");
+            return div.querySelector("span") ? "content" :
+              div.querySelector("a") ? "link" :
+              div.innerHTML ? "?" : "none";
+          };
+          return `${await rendered("link")} ${await rendered("none")} ${await rendered("content")}`;
+        },
+        result: "link none content"
+      }
+    ]
+  },
+
   "renders as an inline-block element for HTML slides": {
     slide: "shower.html#1",
     expects: {
@@ -299,6 +673,24 @@ const tests = {
     }
   },
 
+  "removes attributes when properties are set to null": {
+    slide: "shower.html#1",
+    expects: {
+      eval: async _ => {
+        const el = window.slideEl;
+        const props = { cache: "memory", loading: "lazy", layout: "grid", fit: "cover", position: "left top", fallback: "link", textlayer: "off", notesPosition: "side" };
+        return Object.entries(props).map(([prop, value]) => {
+          const attr = prop.replace(/[A-Z]/g, c => "-" + c.toLowerCase());
+          el[prop] = value;
+          const set = el.getAttribute(attr);
+          el[prop] = null;
+          return `${prop}:${set}:${el.hasAttribute(attr)}`;
+        }).join(" ");
+      },
+      result: "cache:memory:false loading:lazy:false layout:grid:false fit:cover:false position:left top:false fallback:link:false textlayer:off:false notesPosition:side:false"
+    }
+  },
+
   "renders as a box with the requested dimensions (HTML slide)": {
     slide: { url: "shower.html#1", width: 400, height: 400 },
     expects: {
@@ -457,6 +849,60 @@ const tests = {
     }
   },
 
+  "reuses the PDF page view when the slide gets resized": {
+    slide: { url: "slides.pdf#1", width: 144 },
+    expects: {
+      eval: async _ => {
+        const el = window.slideEl;
+        const pageEl = el.shadowRoot.querySelector(".page");
+        for (const width of [200, 250, 288]) {
+          el.setAttribute("width", width);
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        const canvasEls = el.shadowRoot.querySelectorAll(".page canvas");
+        const styles = window.getComputedStyle(canvasEls[0]);
+        return `${el.shadowRoot.querySelector(".page") === pageEl} ${canvasEls.length} width:${styles.width}`;
+      },
+      result: "true 1 width:288px"
+    }
+  },
+
+  "resizes PDF slides whose canvas reached the size limit": {
+    slide: { url: "slides.pdf#1", width: 144 },
+    expects: {
+      eval: async _ => {
+        const el = window.slideEl;
+        await new Promise(resolve => {
+          el.addEventListener("load", resolve, { once: true });
+          el.setAttribute("max-canvas-pixels", "10000");
+        });
+        const textLayerEl = el.shadowRoot.querySelector(".page .textLayer");
+        const errors = [];
+        const consoleError = console.error;
+        const onRejection = evt => errors.push(evt.reason);
+        console.error = (...args) => {
+          errors.push(args.join(" "));
+          consoleError(...args);
+        };
+        window.addEventListener("unhandledrejection", onRejection);
+        try {
+          for (const width of [200, 250, 288]) {
+            el.setAttribute("width", width);
+            await new Promise(resolve => setTimeout(resolve, 300));
+          }
+        }
+        finally {
+          console.error = consoleError;
+          window.removeEventListener("unhandledrejection", onRejection);
+        }
+        const styles = window.getComputedStyle(el.shadowRoot.querySelector(".page"));
+        return `${el.shadowRoot.querySelector(".page .textLayer") === textLayerEl} errors:${errors.length} width:${styles.width}`;
+      },
+      result: "true errors:0 width:288px"
+    }
+  },
+
   "renders new slide correctly when slide changes (HTML to HTML)": {
     slide: { url: "shower.html#1", width: 144 },
     expects: {
@@ -587,6 +1033,625 @@ const tests = {
       },
       result: "counter-reset: slide 2 numslides 4; content: counter(slide)"
     }
+  },
+
+  "loads a single reveal.js slide": {
+    slide: "reveal.html#/1",
+    expects: [
+      { path: "section.present h2", result: true },
+      { path: "section.present li.fragment.visible", result: true },
+      { path: ".width", result: 300 }
+    ]
+  },
+
+  "finds reveal.js slides from reveal.js fragments": [
+    {
+      slide: "reveal.html#/2/1",
+      expects: {
+        eval: _ => window.slideEl.shadowRoot.querySelector("section.stack > section.present h2").textContent,
+        result: "Nested slide"
+      }
+    },
+    {
+      slide: "reveal.html#/nested",
+      expects: {
+        eval: _ => window.slideEl.shadowRoot.querySelector("section.present h2").textContent,
+        result: "Nested slide"
+      }
+    },
+    {
+      slide: "reveal.html#features",
+      expects: {
+        eval: _ => window.slideEl.shadowRoot.querySelector("section.present h2").textContent,
+        result: "Features"
+      }
+    },
+    {
+      slide: "reveal.html#/9",
+      expects: { path: "a@href", result: baseUrl + "reveal.html#/9" }
+    }
+  ],
+
+  "renders reveal.js slides with reveal's default layout": {
+    slide: "reveal.html#/0",
+    expects: {
+      eval: _ => {
+        const revealEl = window.slideEl.shadowRoot.querySelector(".reveal");
+        const styles = window.getComputedStyle(revealEl);
+        return `width:${styles.width} height:${styles.height}`;
+      },
+      result: "width:960px height:700px"
+    }
+  },
+
+  "shows the right slide number (reveal.js)": {
+    slide: "reveal.html#/2/1",
+    expects: [
+      {
+        eval: _ => window.getComputedStyle(
+          window.slideEl.shadowRoot.querySelector("section.stack > section.present"))["counter-reset"],
+        result: "slide 3 numslides 5"
+      },
+      {
+        eval: _ => window.slideEl.shadowRoot.querySelector(".slide-number").textContent,
+        result: "4/5"
+      }
+    ]
+  },
+
+  "loads Markdown slides": [
+    {
+      slide: "slides.md#1",
+      expects: [
+        { path: "h1", result: true },
+        { path: ".width", result: 300 }
+      ]
+    },
+    {
+      slide: "slides.md#features",
+      expects: [
+        { path: "a@href", result: "https://github.com/tidoust/i-slide/" },
+        { path: "ol", result: true }
+      ]
+    },
+    {
+      slide: "slides.md#3",
+      expects: [
+        { path: "pre", result: true },
+        { path: "img@src", result: rootUrl + "/node_modules/@shower/shower/pictures/cover.jpg" }
+      ]
+    },
+    {
+      slide: "slides.md#4",
+      expects: { path: "a@href", result: baseUrl + "slides.md#4" }
+    }
+  ],
+
+  "only keeps safe URLs in Markdown slides": {
+    slide: "",
+    expects: {
+      eval: async _ => {
+        const el = window.slideEl;
+        const promise = new Promise(resolve => el.addEventListener("load", resolve, { once: true }));
+        el.type = "text/markdown";
+        el.srcObject = new TextEncoder().encode([
+          "[a](https://example.org/) [b](mailto:a@example.org) [c](page.html)",
+          "[d](JavaScript:alert) [e](vbscript:msgbox) [f](data:text/html,x)",
+          "![h](data:image/png;base64,AAAA) ![i](data:text/html,x)"
+        ].join("\n\n")).buffer;
+        el.src = "#1";
+        await promise;
+        const urls = [...el.shadowRoot.querySelectorAll("a, img")]
+          .map(el => el.getAttribute("href") ?? el.getAttribute("src"));
+        return urls.join(" ");
+      },
+      result: `https://example.org/ mailto:a@example.org ${rootUrl}/page.html ${rootUrl}/# ${rootUrl}/# ${rootUrl}/# data:image/png;base64,AAAA ${rootUrl}/#`
+    }
+  },
+
+  "keeps speaker notes of Markdown slides hidden": {
+    slide: "slides.md#1",
+    expects: {
+      eval: _ => window.getComputedStyle(
+        window.slideEl.shadowRoot.querySelector("aside.notes")).display,
+      result: "none"
+    }
+  },
+
+  "shows the right slide number (Markdown)": {
+    slide: "slides.md#2",
+    expects: {
+      eval: _ => {
+        const innerSlideEl = window.slideEl.shadowRoot.querySelector(".slide");
+        return "counter-reset: " +
+          window.getComputedStyle(innerSlideEl)["counter-reset"] +
+          "; content: " +
+          window.getComputedStyle(innerSlideEl, ":after").content;
+      },
+      result: "counter-reset: slide 1 numslides 3; content: counter(slide)"
+    }
+  },
+
+  "loads PDF slides with a self-hosted PDF.js": {
+    slide: "",
+    expects: {
+      eval: async _ => {
+        window.slideEl.constructor.configure({
+          pdfjs: "/node_modules/pdfjs-dist/legacy/"
+        });
+
+        let resolve;
+        const promise = new Promise(res => resolve = res);
+        window.slideEl.addEventListener("load", _ => {
+          const shadowRoot = window.slideEl.shadowRoot;
+          resolve(`css:${shadowRoot.querySelector("link").getAttribute("href")} ` +
+            `canvas:${!!shadowRoot.querySelector("canvas")}`);
+        });
+        window.slideEl.src = "test/resources/slides.pdf#1";
+        return promise;
+      },
+      result: `css:${rootUrl}/node_modules/pdfjs-dist/legacy/web/pdf_viewer.css canvas:true`
+    }
+  },
+
+  "renders slides in a registered custom format": {
+    slide: "",
+    expects: {
+      eval: async _ => {
+        window.slideEl.constructor.registerFormat({
+          name: "text",
+          mimeTypes: ["text/plain"],
+          detect: source => source.mimeType === "text/plain",
+          parse: source => ({ slides: source.text.split("\n") }),
+          countSlides: entry => entry.slides.length,
+          findSlide: (entry, fragment) => {
+            const slideNumber = parseInt(fragment, 10);
+            return entry.slides[slideNumber - 1] ? slideNumber : null;
+          },
+          render: (entry, slideNumber, { root, hostStyleEl }) => {
+            const slideEl = document.createElement("p");
+            slideEl.textContent = entry.slides[slideNumber - 1];
+            root.append(hostStyleEl, slideEl);
+            return { slideEl, width: 160, height: 90 };
+          },
+          scale: (view, scale) => {
+            view.slideEl.style.zoom = scale;
+          }
+        });
+
+        let resolve;
+        const promise = new Promise(res => resolve = res);
+        window.slideEl.addEventListener("load", _ => {
+          resolve(window.slideEl.shadowRoot.querySelector("p")?.textContent);
+        });
+        window.slideEl.src = "data:text/plain,First%0ASecond#2";
+        return promise;
+      },
+      result: "Second"
+    }
+  },
+
+  "renders HTML slides embedded in a template element": {
+    slide: "",
+    expects: {
+      eval: async _ => {
+        const tpl = document.createElement("template");
+        tpl.id = "embedded";
+        tpl.innerHTML = `<div class="shower"><section class="slide"><p>One</p></section><section class="slide" id="two"><p>Two</p></section></div>`;
+        document.body.append(tpl);
+        let resolve;
+        const promise = new Promise(res => resolve = res);
+        window.slideEl.addEventListener("load", _ => {
+          resolve(window.slideEl.shadowRoot.querySelector("section p")?.textContent);
+        });
+        window.slideEl.srcref = "embedded#two";
+        return promise;
+      },
+      result: "Two"
+    }
+  },
+
+  "renders Markdown slides embedded in a script element": {
+    slide: "",
+    expects: {
+      eval: async _ => {
+        const script = document.createElement("script");
+        script.type = "text/markdown";
+        script.id = "embedded";
+        script.textContent = "# First\n\n---\n\n# Second\n";
+        document.body.append(script);
+        let resolve;
+        const promise = new Promise(res => resolve = res);
+        window.slideEl.addEventListener("load", _ => {
+          resolve(window.slideEl.shadowRoot.querySelector("h1")?.textContent);
+        });
+        window.slideEl.srcref = "embedded#2";
+        return promise;
+      },
+      result: "Second"
+    }
+  },
+
+  "renders HTML slides loaded via a percent-encoded data: URL": {
+    slide: "",
+    expects: {
+      eval: async _ => {
+        const link = document.createElement("a");
+        link.id = "dataurl";
+        link.href = "data:text/html;charset=utf-8," + encodeURIComponent(`<div class="shower"><section class="slide"><p>Déjà vu</p></section></div>`);
+        document.body.append(link);
+        let resolve;
+        const promise = new Promise(res => resolve = res);
+        window.slideEl.addEventListener("load", _ => {
+          resolve(window.slideEl.shadowRoot.querySelector("section p")?.textContent);
+        });
+        window.slideEl.srcref = "dataurl#1";
+        return promise;
+      },
+      result: "Déjà vu"
+    }
+  },
+
+  "renders HTML slides from a Blob set through srcObject": {
+    slide: "",
+    expects: {
+      eval: async _ => {
+        let resolve;
+        const promise = new Promise(res => resolve = res);
+        window.slideEl.addEventListener("load", _ => {
+          resolve(window.slideEl.shadowRoot.querySelector("section p")?.textContent);
+        });
+        window.slideEl.srcObject = new Blob(
+          [`<div class="shower"><section class="slide"><p>One</p></section><section class="slide" id="two"><p>Two</p></section></div>`],
+          { type: "text/html" });
+        window.slideEl.src = "#two";
+        return promise;
+      },
+      result: "Two"
+    }
+  },
+
+  "renders Markdown slides from an ArrayBuffer set through srcObject": {
+    slide: "",
+    expects: {
+      eval: async _ => {
+        let resolve;
+        const promise = new Promise(res => resolve = res);
+        window.slideEl.addEventListener("load", _ => {
+          resolve(window.slideEl.shadowRoot.querySelector("h1")?.textContent);
+        });
+        window.slideEl.type = "text/markdown";
+        window.slideEl.srcObject = new TextEncoder().encode("# First\n\n---\n\n# Second\n").buffer;
+        window.slideEl.src = "#2";
+        return promise;
+      },
+      result: "Second"
+    }
+  },
+
+  "limits the size of the canvas of PDF slides": {
+    slide: "slides.pdf#page=1",
+    expects: {
+      eval: async _ => {
+        const el = window.slideEl;
+        await new Promise(resolve => {
+          el.addEventListener("load", resolve, { once: true });
+          el.setAttribute("max-canvas-pixels", "10000");
+        });
+        const canvas = el.shadowRoot.querySelector(".page canvas");
+        return canvas.width * canvas.height <= 10000;
+      },
+      result: true
+    }
+  },
+
+  "renders PDF slides ahead of time at print resolution": {
+    slide: "slides.pdf#page=1",
+    expects: [
+      {
+        eval: async _ => {
+          const el = window.slideEl;
+          const find = _ => el.shadowRoot.querySelector("canvas.i-slide-print-only");
+          for (let i = 0; (i < 50) && !find(); i++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+          }
+          const canvas = find();
+          const screenCanvas = el.shadowRoot.querySelector(".page canvas");
+          return `${canvas.width > screenCanvas.width} ${getComputedStyle(canvas).display}`;
+        },
+        result: "true none"
+      },
+      {
+        eval: async _ => {
+          const el = window.slideEl;
+          window.dispatchEvent(new Event("beforeprint"));
+          await new Promise(resolve => setTimeout(resolve, 100));
+          window.dispatchEvent(new Event("afterprint"));
+          return el.shadowRoot.querySelectorAll("canvas.i-slide-print-only").length;
+        },
+        result: 1
+      },
+      {
+        eval: _ => getComputedStyle(window.slideEl).breakInside,
+        result: "avoid"
+      }
+    ]
+  },
+
+  "captures rendered slides as images": [
+    {
+      slide: "shower.html#1",
+      expects: {
+        eval: async _ => {
+          const blob = await window.slideEl.toBlob("image/png", { width: 400 });
+          const bitmap = await createImageBitmap(blob);
+          return `${blob.type} ${bitmap.width}x${bitmap.height}`;
+        },
+        result: "image/png 400x250"
+      }
+    },
+    {
+      slide: "slides.pdf#page=1",
+      expects: {
+        eval: async _ => {
+          const url = await window.slideEl.toDataURL("image/jpeg", { width: 360, height: 200 });
+          const imageEl = new Image();
+          imageEl.src = url;
+          await imageEl.decode();
+          return `${url.split(";")[0]} ${imageEl.naturalWidth}x${imageEl.naturalHeight}`;
+        },
+        result: "data:image/jpeg 360x200"
+      }
+    }
+  ],
+
+  "captures slides of a slide deck as images": {
+    slide: "",
+    expects: {
+      eval: async _ => {
+        const ISlide = window.slideEl.constructor;
+        const blob = await ISlide.capture("test/resources/slides.md", 2, { height: 90 });
+        const bitmap = await createImageBitmap(blob);
+        return `${blob.type} ${bitmap.width}x${bitmap.height}`;
+      },
+      result: "image/png 160x90"
+    }
+  },
+
+  "preloads slide decks in the cache": {
+    slide: "",
+    expects: {
+      eval: async _ => {
+        const ISlide = window.slideEl.constructor;
+        await ISlide.preload("test/resources/slides.md");
+        const entry = ISlide.cache.get("test/resources/slides.md#2");
+        return entry.format.countSlides(entry);
+      },
+      result: 3
+    }
+  },
+
+  "evicts least recently used slide decks from the cache": {
+    slide: "",
+    expects: {
+      eval: async _ => {
+        const ISlide = window.slideEl.constructor;
+        ISlide.configure({ cache: { maxDecks: 2 } });
+        await ISlide.preload("test/resources/slides.md");
+        await ISlide.preload("test/resources/reveal.html");
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return [
+          ISlide.cache.has("test/resources/slides.md"),
+          ISlide.cache.has("test/resources/reveal.html")
+        ].join(",");
+      },
+      result: "false,true"
+    }
+  },
+
+  "stores slide decks in the persistent cache": {
+    slide: "",
+    expects: {
+      eval: async _ => {
+        const url = new URL("test/resources/shower.html", document.baseURI).href;
+        let resolve;
+        const promise = new Promise(res => resolve = res);
+        window.slideEl.addEventListener("load", resolve);
+        window.slideEl.cache = "persistent";
+        window.slideEl.src = url + "#1";
+        await promise;
+        const decks = await caches.open("i-slide-decks");
+        return !!(await decks.match(url));
+      },
+      result: true
+    }
+  },
+
+  "serves slide decks from the persistent cache when the server fails": {
+    slide: "",
+    expects: {
+      eval: async _ => {
+        const ISlide = window.slideEl.constructor;
+        const url = new URL("test/unavailable/shower.html", document.baseURI).href;
+        const render = async _ => {
+          const el = document.createElement(window.slideEl.localName);
+          el.cache = "persistent";
+          el.src = url + "#2";
+          const promise = new Promise(resolve => {
+            el.addEventListener("load", resolve, { once: true });
+            el.addEventListener("error", resolve, { once: true });
+          });
+          document.body.append(el);
+          await promise;
+          el.remove();
+          ISlide.cache.delete(url);
+          return el.error?.reason ?? el.shadowRoot.querySelector("h2")?.textContent;
+        };
+        return [await render(), await render()].join(", ");
+      },
+      result: "Shower key features, Shower key features"
+    }
+  },
+
+  "defers lazy slides until they come close to the viewport": {
+    slide: "",
+    expects: {
+      eval: async _ => {
+        const spacer = document.createElement("div");
+        spacer.style.height = "5000px";
+        const lazyEl = document.createElement(window.slideEl.localName);
+        lazyEl.setAttribute("loading", "lazy");
+        lazyEl.setAttribute("src", "test/resources/shower.html#1");
+        document.body.append(spacer, lazyEl);
+        await new Promise(resolve => setTimeout(resolve, 200));
+        const deferred = !lazyEl.loaded && lazyEl.clientHeight > 0;
+        const promise = new Promise(resolve => lazyEl.addEventListener("load", resolve));
+        lazyEl.scrollIntoView();
+        await promise;
+        return deferred && !!lazyEl.shadowRoot.querySelector("section");
+      },
+      result: true
+    }
+  },
+
+  "renders a range of HTML slides as a filmstrip": {
+    slide: "shower.html#1-3",
+    expects: [
+      { path: "[part=slides]>[part=slide]:nth-child(3) section", result: true },
+      { path: "[part=slides]>[part=slide]:nth-child(4)", result: false }
+    ]
+  },
+
+  "renders a list of PDF pages": {
+    slide: "slides.pdf#page=2,1",
+    expects: [
+      { path: "[part=slide]:nth-child(2) canvas", result: true },
+      { path: "[part=slide]:nth-child(3)", result: false }
+    ]
+  },
+
+  "renders slides in a grid": {
+    slide: "shower.html#2",
+    expects: {
+      eval: async _ => {
+        let resolve;
+        const promise = new Promise(res => resolve = res);
+        window.slideEl.addEventListener("load", resolve);
+        window.slideEl.setAttribute("layout", "grid");
+        await promise;
+        const slidesEl = window.slideEl.shadowRoot.querySelector("[part=slides]");
+        return getComputedStyle(slidesEl).display + " " +
+          slidesEl.querySelectorAll("[part=slide]").length;
+      },
+      result: "grid 1"
+    }
+  },
+
+  "navigates through slides with controls": {
+    slide: "shower.html#2",
+    expects: [
+      {
+        eval: async _ => {
+          let resolve;
+          const promise = new Promise(res => resolve = res);
+          window.slideEl.addEventListener("load", resolve);
+          window.slideEl.controls = true;
+          window.slideEl.next();
+          await promise;
+          return window.slideEl.shadowRoot.querySelector("[part=indicator]").textContent +
+            " " + window.slideEl.getAttribute("src").split("#")[1];
+        },
+        result: "3 / 4 3"
+      }
+    ]
+  },
+
+  "navigates through PDF pages with arrow keys": {
+    slide: "slides.pdf#page=1",
+    expects: {
+      eval: async _ => {
+        let resolve;
+        const promise = new Promise(res => resolve = res);
+        window.slideEl.addEventListener("load", resolve);
+        window.slideEl.controls = true;
+        window.slideEl.focus();
+        window.slideEl.dispatchEvent(new KeyboardEvent("keydown", { key: "ArrowRight" }));
+        await promise;
+        return window.slideEl.slideNumber + " " + window.slideEl.src.split("#")[1];
+      },
+      result: "2 page=2"
+    }
+  },
+
+  "centers slides in their box by default": {
+    slide: { url: "shower.html#1", width: 400, height: 400 },
+    expects: {
+      eval: async _ => {
+        const box = window.slideEl.getBoundingClientRect();
+        const slide = window.slideEl.shadowRoot.querySelector("html").getBoundingClientRect();
+        return Math.round(slide.top - box.top) + " " + Math.round(slide.height);
+      },
+      result: "88 225"
+    }
+  },
+
+  "crops slides with fit=cover": {
+    slide: { url: "shower.html#1", width: 400, height: 400 },
+    expects: {
+      eval: async _ => {
+        window.slideEl.setAttribute("fit", "cover");
+        window.slideEl.setAttribute("position", "left top");
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const box = window.slideEl.getBoundingClientRect();
+        const slide = window.slideEl.shadowRoot.querySelector("html").getBoundingClientRect();
+        return Math.round(slide.left - box.left) + " " + Math.round(slide.width);
+      },
+      result: "0 711"
+    }
+  },
+
+  "rebases relative URLs in HTML slides": {
+    slide: "urls.html#1",
+    expects: [
+      {
+        path: "img@srcset",
+        result: `${rootUrl}/node_modules/@shower/shower/pictures/logo.png 1x, ${rootUrl}/node_modules/@shower/shower/pictures/cover.jpg 2x`
+      },
+      {
+        path: "source@srcset",
+        result: `${rootUrl}/node_modules/@shower/shower/pictures/logo.svg`
+      },
+      {
+        path: "object@data",
+        result: `${rootUrl}/node_modules/@shower/shower/pictures/logo.svg`
+      },
+      {
+        path: "div.bg@style",
+        result: `background-image: url('${rootUrl}/node_modules/@shower/shower/pictures/cover.jpg')`
+      },
+      {
+        path: "image@xlink:href",
+        result: `${rootUrl}/node_modules/@shower/shower/pictures/logo.svg`
+      },
+      { path: "use@href", result: "#dot" },
+      {
+        eval: _ => window.slideEl.shadowRoot.querySelector("head style").textContent.includes(
+          `url(${location.origin}/node_modules/@shower/shower/pictures/picture.jpg)`),
+        result: true
+      }
+    ]
+  },
+
+  "registers the web fonts of HTML slides at the document level": {
+    slide: "shower.html#1",
+    expects: [
+      {
+        eval: _ => [...document.fonts].some(font =>
+          font.family.replace(/["']/g, "") === "PT Sans" &&
+          font.status === "loaded"),
+        result: true
+      }
+    ]
   }
 };
 
@@ -614,7 +1679,7 @@ async function evalComponent(page, elemName, expectations, slideNumber = 0) {
         throw new Error("cannot find Web Component");
       }
       window.slideEl = el;
-      if (el.loaded) {
+      if (el.loaded || el.error) {
         return;
       }
 
@@ -625,6 +1690,9 @@ async function evalComponent(page, elemName, expectations, slideNumber = 0) {
       el.addEventListener("load", () => {
         resolve();
       });
+      el.addEventListener("error", () => {
+        resolve();
+      });
       return p;
     }, elemName, slideNumber);
 